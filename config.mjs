@@ -0,0 +1,241 @@
+// config.mjs
+// Every setting the server reads from the environment (or a .env file),
+// parsed and checked once at startup. Nothing else should touch process.env.
+
+import crypto from "node:crypto";
+import dotenv from "dotenv";
+
+dotenv.config({ quiet: true });
+
+/**
+ * @typedef {object} Config
+ * @property {"development" | "production"} env
+ * @property {number} port
+ * @property {string} basePath        "" or "/prefix" – never a trailing slash
+ * @property {string} mongoUrl
+ * @property {string} mongoDbName
+ * @property {string} sessionSecret
+ * @property {number} sessionIdleHours    a session without "remember me"
+ * @property {number} sessionRememberDays a session with "remember me"
+ * @property {boolean} trustProxy         behind an HTTPS-terminating proxy
+ * @property {boolean} dmFriendsOnly
+ * @property {string[]} adminUsernames
+ * @property {number} uploadQuotaMb
+ * @property {number} uploadGraceHours
+ * @property {string} publicUrl          where the site is opened, for links
+ *                                       in emails ("" = http://localhost:PORT)
+ * @property {"console" | "file"} mailTransport
+ * @property {string} mailDir            where the file transport writes
+ * @property {string} mailFrom
+ * @property {boolean} requireVerifiedEmail  no posting before verifying
+ * @property {string} openWeatherApiKey   "" when the weather route is off
+ * @property {string} openAiApiKey        "" when the chatbot is off
+ */
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super("Invalid configuration:\n  - " + problems.join("\n  - "));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// key → how to read it. secret values are never printed (see redactConfig).
+const SETTINGS = {
+  env: {
+    name: "NODE_ENV",
+    type: "enum",
+    values: ["development", "production"],
+    default: "development",
+  },
+  port: { name: "PORT", type: "port", default: 8080 },
+  basePath: { name: "BASE_PATH", type: "basePath", default: "" },
+  mongoUrl: {
+    name: "MONGO_URL",
+    type: "url",
+    default: "mongodb://127.0.0.1:27017",
+  },
+  mongoDbName: { name: "MONGO_DB_NAME", type: "string", default: "cst2120" },
+  sessionSecret: { name: "SESSION_SECRET", type: "secret", secret: true },
+  sessionIdleHours: {
+    name: "SESSION_IDLE_HOURS",
+    type: "number",
+    default: 24,
+  },
+  sessionRememberDays: {
+    name: "SESSION_REMEMBER_DAYS",
+    type: "number",
+    default: 30,
+  },
+  trustProxy: { name: "TRUST_PROXY", type: "boolean", default: false },
+  dmFriendsOnly: { name: "DM_FRIENDS_ONLY", type: "boolean", default: false },
+  adminUsernames: { name: "ADMIN_USERNAMES", type: "list", default: [] },
+  uploadQuotaMb: { name: "UPLOAD_QUOTA_MB", type: "number", default: 100 },
+  uploadGraceHours: {
+    name: "UPLOAD_GRACE_HOURS",
+    type: "number",
+    default: 24,
+  },
+  publicUrl: { name: "PUBLIC_URL", type: "url", default: "" },
+  mailTransport: {
+    name: "MAIL_TRANSPORT",
+    type: "enum",
+    values: ["console", "file"],
+    default: "console",
+  },
+  mailDir: { name: "MAIL_DIR", type: "string", default: "mail" },
+  mailFrom: {
+    name: "MAIL_FROM",
+    type: "string",
+    default: "tripTalk <no-reply@localhost>",
+  },
+  requireVerifiedEmail: {
+    name: "REQUIRE_VERIFIED_EMAIL",
+    type: "boolean",
+    default: false,
+  },
+  openWeatherApiKey: {
+    name: "OPENWEATHER_API_KEY",
+    type: "string",
+    default: "",
+    secret: true,
+  },
+  openAiApiKey: {
+    name: "OPENAI_API_KEY",
+    type: "string",
+    default: "",
+    secret: true,
+  },
+};
+
+const MIN_SESSION_SECRET_LENGTH = 32;
+
+// Each parser returns the value, or throws a message about what is wrong.
+const PARSERS = {
+  string: (raw) => raw,
+  enum: (raw, setting) => {
+    if (!setting.values.includes(raw)) {
+      throw `must be one of ${setting.values.join(", ")}`;
+    }
+    return raw;
+  },
+  number: (raw) => {
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw "must be a number of 0 or more";
+    }
+    return value;
+  },
+  port: (raw) => {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0 || value > 65535) {
+      throw "must be a whole number between 0 and 65535";
+    }
+    return value;
+  },
+  boolean: (raw) => {
+    if (["true", "1", "yes"].includes(raw.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(raw.toLowerCase())) return false;
+    throw "must be true or false";
+  },
+  list: (raw) =>
+    raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+  url: (raw) => {
+    try {
+      new URL(raw);
+    } catch {
+      throw "must be a URL";
+    }
+    return raw.replace(/\/+$/, "");
+  },
+  // "api", "/api/" and "/api" all become "/api"; "" and "/" mean no prefix
+  basePath: (raw) => {
+    const trimmed = raw.trim().replace(/^\/+|\/+$/g, "");
+    if (trimmed === "") return "";
+    if (!/^[A-Za-z0-9._~-]+(\/[A-Za-z0-9._~-]+)*$/.test(trimmed)) {
+      throw "may only contain letters, digits, . _ ~ - and /";
+    }
+    return "/" + trimmed;
+  },
+  secret: (raw) => {
+    if (raw.length < MIN_SESSION_SECRET_LENGTH) {
+      throw `must be at least ${MIN_SESSION_SECRET_LENGTH} characters`;
+    }
+    return raw;
+  },
+};
+
+/**
+ * Reads and validates every setting. Throws a ConfigError listing all
+ * problems at once, so a broken .env can be fixed in one go.
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {Readonly<Config>}
+ */
+export function loadConfig(env = process.env) {
+  const config = {};
+  const problems = [];
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const raw = env[setting.name];
+    if (raw === undefined || raw === "") {
+      config[key] = setting.default;
+      continue;
+    }
+    try {
+      config[key] = PARSERS[setting.type](raw, setting);
+    } catch (message) {
+      problems.push(`${setting.name} ${message}.`);
+    }
+  }
+
+  // Without a secret, sessions are signed with a throwaway one: fine while
+  // developing (everyone is logged out on restart), never in production.
+  if (config.sessionSecret === undefined && !env.SESSION_SECRET) {
+    if (config.env === "production") {
+      problems.push("SESSION_SECRET is required when NODE_ENV=production.");
+    } else {
+      config.sessionSecret = crypto.randomBytes(32).toString("hex");
+      console.warn(
+        "⚠️  SESSION_SECRET is not set – using a random one, " +
+          "so sessions end on restart."
+      );
+    }
+  }
+
+  // the console transport prints password reset links into the server log,
+  // where anyone who can read the log could take over an account
+  if (config.env === "production" && config.mailTransport === "console") {
+    problems.push(
+      "MAIL_TRANSPORT=console is not allowed when NODE_ENV=production " +
+        "(it prints reset links to the log)."
+    );
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+/**
+ * A copy that is safe to log: secrets show only whether they are set, and
+ * URLs lose their password.
+ * @param {Config} config
+ */
+export function redactConfig(config) {
+  const safe = {};
+  for (const [key, value] of Object.entries(config)) {
+    const setting = SETTINGS[key];
+    if (setting.secret) {
+      safe[key] = value ? "[set]" : "[not set]";
+    } else if (setting.type === "url" && value) {
+      const url = new URL(value);
+      if (url.password) url.password = "***";
+      safe[key] = url.toString();
+    } else {
+      safe[key] = value;
+    }
+  }
+  return safe;
+}
@@ -0,0 +1,146 @@
+// image_worker.mjs
+// Runs in a worker thread (started by images.mjs). Jimp is pure JS and
+// synchronous, so decoding here keeps the main thread free for requests.
+// The caller has already checked the image's size from its header.
+
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { parentPort } from "node:worker_threads";
+import { Jimp } from "jimp";
+import decodeWebp, { init as initWebpDecoder } from "@jsquash/webp/decode.js";
+import encodeWebp, { init as initWebpEncoder } from "@jsquash/webp/encode.js";
+import { simd } from "wasm-feature-detect";
+
+function badImage() {
+  const err = new Error("The file is not a readable image.");
+  err.status = 400;
+  return err;
+}
+
+// ----- WebP -----
+// Jimp can't read or write WebP, so it goes through libwebp compiled to
+// WebAssembly. The .wasm files are loaded from node_modules by hand: left
+// alone, the codec tries to fetch() them, which fails in Node.
+
+let webpReady = null;
+
+function loadWebp() {
+  const compile = async (file) => {
+    const url = import.meta.resolve(`@jsquash/webp/${file}`);
+    return WebAssembly.compile(await fs.readFile(fileURLToPath(url)));
+  };
+
+  webpReady ??= (async () => {
+    await initWebpDecoder(await compile("codec/dec/webp_dec.wasm"));
+    // the encoder picks its SIMD build the same way
+    const encoder = (await simd()) ? "webp_enc_simd.wasm" : "webp_enc.wasm";
+    await initWebpEncoder(await compile(`codec/enc/${encoder}`));
+  })();
+  return webpReady;
+}
+
+function isWebp(buffer) {
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+  return ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP";
+}
+
+// bytes arrive from the main thread as a Uint8Array
+async function readImage(bytes) {
+  const buffer = Buffer.from(bytes);
+  try {
+    if (isWebp(buffer)) {
+      await loadWebp();
+      const { data, width, height } = await decodeWebp(buffer);
+      return Jimp.fromBitmap({ data: Buffer.from(data.buffer), width, height });
+    }
+    return await Jimp.read(buffer); // applies EXIF orientation
+  } catch {
+    throw badImage();
+  }
+}
+
+// What each type of upload gets its smaller copies saved as. GIF becomes
+// PNG: a resized photo squeezed back into 256 colours looks banded.
+const VARIANT_TYPES = {
+  "image/jpeg": "image/jpeg",
+  "image/png": "image/png",
+  "image/gif": "image/png",
+  "image/webp": "image/webp",
+};
+
+async function encodeVariant(image, mimeType) {
+  if (mimeType === "image/webp") {
+    await loadWebp();
+    return new Uint8Array(await encodeWebp(image.bitmap, { quality: 80 }));
+  }
+  if (mimeType === "image/jpeg") {
+    return image.getBuffer("image/jpeg", { quality: 80 });
+  }
+  return image.getBuffer("image/png");
+}
+
+const JOBS = {
+  // Centred square crop, then one JPEG per size. Re-encoding also drops all
+  // EXIF metadata. Resolves to { small: bytes, medium: bytes, ... }.
+  async avatar({ buffer, sizes }) {
+    const image = await readImage(buffer);
+
+    const { width, height } = image;
+    const side = Math.min(width, height);
+    image.crop({
+      x: Math.floor((width - side) / 2),
+      y: Math.floor((height - side) / 2),
+      w: side,
+      h: side,
+    });
+
+    const files = {};
+    for (const [sizeName, px] of Object.entries(sizes)) {
+      const variant = image.clone().resize({ w: px, h: px });
+      files[sizeName] = await variant.getBuffer("image/jpeg", { quality: 85 });
+    }
+    return files;
+  },
+
+  // Resized copies no wider than each of widths ({ name: px }); one is
+  // skipped when the image is already narrower. Resolves to
+  // { width, height, variants: { name: { buffer, mimeType, width, height } } }
+  // with the size after EXIF orientation.
+  async variants({ buffer, mimeType, widths }) {
+    const image = await readImage(buffer);
+    const { width, height } = image;
+    const variantType = VARIANT_TYPES[mimeType];
+
+    const variants = {};
+    for (const [name, maxWidth] of Object.entries(widths)) {
+      if (width <= maxWidth) continue;
+
+      const resized = image.clone().resize({ w: maxWidth });
+      variants[name] = {
+        buffer: await encodeVariant(resized, variantType),
+        mimeType: variantType,
+        width: resized.width,
+        height: resized.height,
+      };
+    }
+    return { width, height, variants };
+  },
+};
+
+async function runJob({ id, job }) {
+  try {
+    const result = await JOBS[job.type](job);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({
+      id,
+      error: { message: err.message, status: err.status },
+    });
+  }
+}
+
+// one job at a time, so only one decoded image is in memory at once
+let queue = Promise.resolve();
+parentPort.on("message", (message) => {
+  queue = queue.then(() => runJob(message));
+});
@@ -0,0 +1,187 @@
+// images.mjs
+// Everything the server does with image pixels. Two rules keep a hostile
+// upload from taking the server down:
+//  - the width and height are read from the file header before anything is
+//    decoded: a few KB of PNG can claim 50000×50000 pixels, and decoding
+//    that needs 10 GB of memory;
+//  - decoding and resizing run in a worker thread (image_worker.mjs), so a
+//    big photo doesn't stall every other request while Jimp works.
+
+import { Worker } from "node:worker_threads";
+
+// ----- Image size from the header -----
+
+function jpegSize(buffer) {
+  let pos = 2;
+  while (pos + 9 < buffer.length) {
+    if (buffer[pos] !== 0xff) return null;
+    const marker = buffer[pos + 1];
+    // fill bytes, and markers without a length
+    if (marker === 0xff) {
+      pos += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      pos += 2;
+      continue;
+    }
+    // SOF0–SOF15 carry the frame size (C4, C8 and CC are other segments)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      return {
+        height: buffer.readUInt16BE(pos + 5),
+        width: buffer.readUInt16BE(pos + 7),
+      };
+    }
+    pos += 2 + buffer.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+// Jimp only decodes the first frame, into the "logical screen" size; the
+// frames are counted so animated GIFs can be told apart
+function gifSize(buffer) {
+  const width = buffer.readUInt16LE(6);
+  const height = buffer.readUInt16LE(8);
+  const colorTableSize = (packed) =>
+    packed & 0x80 ? 3 * 2 ** ((packed & 0x07) + 1) : 0;
+  const skipSubBlocks = (pos) => {
+    while (pos < buffer.length && buffer[pos] !== 0) pos += buffer[pos] + 1;
+    return pos + 1;
+  };
+
+  let pos = 13 + colorTableSize(buffer[10]);
+  let frames = 0;
+  while (pos < buffer.length && frames < 2) {
+    const block = buffer[pos];
+    if (block === 0x2c) {
+      frames += 1;
+      pos += 10 + colorTableSize(buffer[pos + 9]) + 1; // + LZW code size
+      pos = skipSubBlocks(pos);
+    } else if (block === 0x21) {
+      pos = skipSubBlocks(pos + 2);
+    } else {
+      break; // 0x3b is the end of the file; anything else is broken
+    }
+  }
+  return { width, height, animated: frames > 1 };
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.toString("latin1", 12, 16);
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+    };
+  }
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+      animated: Boolean(buffer[20] & 0x02),
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads an image's size without decoding it.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, animated?: boolean } | null}
+ *   null when the file is not a JPEG, PNG, GIF, WebP or BMP, or its header
+ *   is cut short
+ */
+export function readImageSize(buffer) {
+  if (buffer.length < 30) return null;
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  try {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return jpegSize(buffer);
+    if (ascii(1, 4) === "PNG" && ascii(12, 16) === "IHDR") {
+      return {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20),
+      };
+    }
+    if (ascii(0, 4) === "GIF8") return gifSize(buffer);
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+      return webpSize(buffer);
+    }
+    if (ascii(0, 2) === "BM") {
+      return {
+        width: Math.abs(buffer.readInt32LE(18)),
+        height: Math.abs(buffer.readInt32LE(22)), // negative = top-down
+      };
+    }
+  } catch {
+    // a read past the end: the header is truncated
+  }
+  return null;
+}
+
+// ----- The worker -----
+// One worker for the whole server, started on first use. Jobs queue up in
+// it one at a time. If it dies, every job waiting on it fails and the next
+// job starts a fresh one.
+
+let worker = null;
+let nextJobId = 1;
+const pendingJobs = new Map(); // id -> { resolve, reject }
+
+function getWorker() {
+  if (worker) return worker;
+
+  const current = new Worker(new URL("./image_worker.mjs", import.meta.url));
+  current.unref(); // an idle worker must not keep the process alive
+  current.on("message", ({ id, result, error }) => {
+    const job = pendingJobs.get(id);
+    if (!job) return;
+    pendingJobs.delete(id);
+    if (error) {
+      const err = new Error(error.message);
+      if (error.status) err.status = error.status;
+      job.reject(err);
+    } else {
+      job.resolve(result);
+    }
+  });
+
+  // "error" is followed by "exit"; only the first one for this worker counts,
+  // and never once a new worker has taken over
+  const stopped = (err) => {
+    if (worker !== current) return;
+    worker = null;
+    for (const { reject } of pendingJobs.values()) reject(err);
+    pendingJobs.clear();
+  };
+  current.on("error", stopped);
+  current.on("exit", () => stopped(new Error("The image worker stopped.")));
+
+  worker = current;
+  return worker;
+}
+
+/**
+ * Runs one job in the image worker (see image_worker.mjs for the jobs).
+ * Buffers in the result come back as Uint8Arrays.
+ * @param {{ type: string, buffer: Buffer } & object} job
+ * @returns {Promise<any>}
+ */
+export function runImageJob(job) {
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    pendingJobs.set(id, { resolve, reject });
+    getWorker().postMessage({ id, job });
+  });
+}
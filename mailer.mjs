@@ -0,0 +1,72 @@
+// mailer.mjs
+// Sends the few emails the site needs (verify an address, reset a password).
+// Where they go is up to a transport: "console" prints them and "file" writes
+// each one to a folder as an .eml file, which is all local development and
+// tests need. A real transport (SMTP, an email API) is any object with an
+// async send(message) method, passed to createMailer instead of a name.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} from
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text   plain text only – no HTML to escape
+ */
+
+// RFC 5322-ish text, good enough for any mail client to open
+function formatMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+    "",
+  ].join("\r\n");
+}
+
+const TRANSPORTS = {
+  console: () => ({
+    async send(message) {
+      console.log("✉️  " + formatMessage(message).replace(/\r\n/g, "\n"));
+    },
+  }),
+
+  file: ({ dir }) => ({
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      // the timestamp first, so a directory listing is in sending order
+      const name =
+        `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      await fs.writeFile(path.join(dir, name), formatMessage(message));
+    },
+  }),
+};
+
+/**
+ * @param {object} options
+ * @param {string | { send(message: MailMessage): Promise<void> }} options.transport
+ *   "console", "file", or a transport object
+ * @param {string} options.from  the From: line of every message
+ * @param {string} [options.dir] where the file transport writes
+ */
+export function createMailer({ transport, from, dir }) {
+  let sender = transport;
+  if (typeof transport === "string") {
+    if (!TRANSPORTS[transport]) {
+      throw new Error(`Unknown mail transport "${transport}".`);
+    }
+    sender = TRANSPORTS[transport]({ dir });
+  }
+
+  return {
+    /** @param {{ to: string, subject: string, text: string }} message */
+    send: (message) => sender.send({ from, ...message }),
+  };
+}
@@ -0,0 +1,136 @@
+// ===============================
+// API client – the one place the frontend talks to the backend
+// ===============================
+
+// Every API path starts with the server's base path (e.g. "/api", or "" for
+// none). I don't hardcode it: loadApiConfig() asks the server on page load.
+let BASE_PATH = "";
+
+/**
+ * Every call resolves to the same envelope, whatever the route:
+ *   { ok, status, data, error, fields }
+ * data is the parsed JSON body ({} if there was none), error is the
+ * backend's { error } message (or null) and fields any per-field errors.
+ * Only network failures throw, so callers keep their try/catch for those.
+ *
+ * Routes are written the way the server declares them, relative to the
+ * base path: api.get("/contents/:contentId/likes", { params: { contentId } }).
+ * Query values that are undefined, null or "" are left out.
+ */
+const api = {
+  get: (route, options) => apiRequest("GET", route, options),
+  post: (route, options) => apiRequest("POST", route, options),
+  put: (route, options) => apiRequest("PUT", route, options),
+  patch: (route, options) => apiRequest("PATCH", route, options),
+  delete: (route, options) => apiRequest("DELETE", route, options),
+  url: apiUrl,
+
+  // I am called on any 401, so the page can send the user back to log in.
+  onUnauthorized: null,
+};
+
+// "GET /contents/:contentId/likes" strings from GET /routes, once loaded.
+let apiRouteManifest = null;
+
+/**
+ * I build the full URL for a route template, its params and query.
+ */
+function apiUrl(route, { params = {}, query = {} } = {}) {
+  const path = route.replace(/:(\w+)/g, (match, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      throw new Error(`Missing "${name}" for API route ${route}`);
+    }
+    return encodeURIComponent(params[name]);
+  });
+
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      search.append(key, value);
+    }
+  });
+
+  const queryString = search.toString();
+  return BASE_PATH + path + (queryString ? `?${queryString}` : "");
+}
+
+/**
+ * I send one request. body is sent as JSON, unless it is FormData
+ * (file uploads), which the browser encodes itself.
+ */
+async function apiRequest(method, route, options = {}) {
+  warnIfUnknownRoute(method, route);
+
+  const init = { method, signal: options.signal };
+  if (options.body instanceof FormData) {
+    init.body = options.body;
+  } else if (options.body !== undefined) {
+    init.headers = { "Content-Type": "application/json" };
+    init.body = JSON.stringify(options.body);
+  }
+
+  const response = await fetch(apiUrl(route, options), init);
+
+  let data = {};
+  try {
+    data = (await response.json()) ?? {};
+  } catch {
+    // empty or non-JSON body – the envelope still tells the caller what happened
+  }
+
+  const envelope = {
+    ok: response.ok,
+    status: response.status,
+    data,
+    error: response.ok ? null : (data && data.error) || null,
+    fields: response.ok ? null : (data && data.fields) || null,
+  };
+
+  if (response.status === 401 && typeof api.onUnauthorized === "function") {
+    api.onUnauthorized(envelope);
+  }
+
+  return envelope;
+}
+
+/**
+ * I ask the server where its API lives. config.json sits next to
+ * index.html (outside the base path), so I request it relative to the page.
+ * Everything else waits for this, then I load the route manifest.
+ */
+async function loadApiConfig() {
+  try {
+    const response = await fetch("config.json");
+    if (response.ok) {
+      const { basePath } = await response.json();
+      BASE_PATH = basePath || "";
+    }
+  } catch (err) {
+    console.error("Error loading the API config:", err);
+  }
+
+  await loadRouteManifest();
+}
+
+/**
+ * I fetch the server's route manifest (GET /routes) so that a call to a
+ * route the backend doesn't have shows up in the console straight away,
+ * instead of as a silent 404.
+ */
+async function loadRouteManifest() {
+  try {
+    const response = await fetch(`${BASE_PATH}/routes`);
+    if (!response.ok) return;
+
+    const { routes } = await response.json();
+    apiRouteManifest = new Set(routes.map((r) => `${r.method} ${r.path}`));
+  } catch (err) {
+    console.error("Error loading the route manifest:", err);
+  }
+}
+
+function warnIfUnknownRoute(method, route) {
+  if (apiRouteManifest && !apiRouteManifest.has(`${method} ${route}`)) {
+    console.warn(`The server has no API route ${method} ${route}`);
+  }
+}
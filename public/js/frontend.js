@@ -2,13 +2,15 @@
 // 1. Constants and small helpers
 // ===============================
 
-// I use my student ID in every path – this is required by the coursework rules.
-const STUDENT_ID = "M00733239";
-const BASE_PATH = `/${STUDENT_ID}`; // e.g. "/M00733239"
+// BASE_PATH and the api client live in js/api.js, which index.html loads
+// before this file.
 
 // I keep track of which section of the single page is currently visible.
 let currentSectionId = "auth-section";
 
+// I remember who is logged in so I can show edit/delete only on my own posts.
+let currentUsername = null;
+
 /**
  * I show one section (by id) and hide all the others.
  * Every section in my HTML has the class "page-section".
@@ -64,16 +66,9 @@ function formatDate(value) {
   }
 }
 
-/**
- * I safely read JSON from a fetch() response, even if it fails.
- */
-async function safeJson(response) {
-  try {
-    return await response.json();
-  } catch (err) {
-    return {};
-  }
-}
+// How many posts I ask for per page in the infinite-scroll lists.
+const PAGE_SIZE = 10;
+
 
 // ===============================
 // 2. Current user + navigation
@@ -92,15 +87,18 @@ function updateCurrentUserView(loginInfo) {
   if (loginInfo && loginInfo.loggedIn && loginInfo.user) {
     const u = loginInfo.user;
 
+    currentUsername = u.username;
     textEl.textContent = `Logged in as: ${u.username}`;
     logoutBtn.disabled = false;
     setNavEnabled(true);
+    startNotifications();
+    startLiveUpdates();
+    loadTripOptions();
 
     // I update the profile section details
-    const firstLetter = (u.username || "?")[0].toUpperCase();
     const avatar = document.getElementById("profile-avatar");
     if (avatar) {
-      avatar.textContent = firstLetter;
+      renderAvatar(avatar, u);
     }
 
     const usernameEl = document.getElementById("profile-username");
@@ -114,6 +112,7 @@ function updateCurrentUserView(loginInfo) {
     if (emailEl) emailEl.textContent = u.email || "—";
     if (bioEl) bioEl.textContent = u.bio || "—";
     if (locationEl) locationEl.textContent = u.location || "—";
+    renderEmailStatus(u);
 
     // If I am currently on the Account section and I log in,
     // I move straight to the home feed so the site feels responsive.
@@ -122,9 +121,13 @@ function updateCurrentUserView(loginInfo) {
       loadFeed();
     }
   } else {
+    currentUsername = null;
+    openThread = null;
     textEl.textContent = "Not logged in";
     logoutBtn.disabled = true;
     setNavEnabled(false);
+    stopNotifications();
+    stopLiveUpdates();
     showSection("auth-section");
   }
 }
@@ -150,8 +153,15 @@ function setupNavigation() {
         loadFeed();
       } else if (target === "profile-section") {
         loadProfile();
+        loadSessions();
       } else if (target === "friends-section") {
-        loadIncomingFriendRequests();
+        loadFriendsSection();
+      } else if (target === "messages-section") {
+        loadConversations();
+      } else if (target === "content-search-section") {
+        loadTrendingTags();
+      } else if (target === "trips-section") {
+        loadTrips();
       }
     });
   });
@@ -162,7 +172,7 @@ function setupNavigation() {
 }
 
 // ===============================
-// 3. Auth: register, login, logout
+// 3. Auth: register, login, logout, devices
 // ===============================
 
 /**
@@ -172,6 +182,8 @@ function setupAuthHandlers() {
   const registerForm = document.getElementById("register-form");
   const loginForm = document.getElementById("login-form");
   const logoutButton = document.getElementById("logout-button");
+  const resetRequestForm = document.getElementById("reset-request-form");
+  const resetPasswordForm = document.getElementById("reset-password-form");
 
   // --- Register ---
   if (registerForm) {
@@ -188,18 +200,14 @@ function setupAuthHandlers() {
       const email = document.getElementById("register-email").value.trim();
 
       try {
-        const response = await fetch(`${BASE_PATH}/users`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ username, password, displayName, email }),
+        const { ok, error } = await api.post("/users", {
+          body: { username, password, displayName, email },
         });
 
-        const data = await safeJson(response);
-
-        if (!response.ok) {
+        if (!ok) {
           showMessage(
             "auth-messages",
-            data.error || "Registration failed.",
+            error || "Registration failed.",
             true
           );
         } else {
@@ -228,18 +236,15 @@ function setupAuthHandlers() {
 
       const username = document.getElementById("login-username").value.trim();
       const password = document.getElementById("login-password").value;
+      const remember = document.getElementById("login-remember").checked;
 
       try {
-        const response = await fetch(`${BASE_PATH}/login`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ username, password }),
+        const { ok, data, error } = await api.post("/login", {
+          body: { username, password, remember },
         });
 
-        const data = await safeJson(response);
-
-        if (!response.ok) {
-          showMessage("auth-messages", data.error || "Login failed.", true);
+        if (!ok) {
+          showMessage("auth-messages", error || "Login failed.", true);
           updateCurrentUserView(null);
         } else {
           showMessage("auth-messages", "I logged in successfully!", false);
@@ -259,14 +264,75 @@ function setupAuthHandlers() {
     });
   }
 
+  // --- Forgotten password: ask for a reset link ---
+  if (resetRequestForm) {
+    resetRequestForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      const email = document.getElementById("reset-request-email").value.trim();
+
+      try {
+        const { ok, data, error } = await api.post("/password-reset", {
+          body: { email },
+        });
+        showMessage(
+          "auth-messages",
+          ok ? data.message : error || "Could not request a reset.",
+          !ok
+        );
+        if (ok) resetRequestForm.reset();
+      } catch (err) {
+        console.error("Error requesting password reset:", err);
+        showMessage(
+          "auth-messages",
+          "Something went wrong requesting a reset.",
+          true
+        );
+      }
+    });
+  }
+
+  // --- Forgotten password: set the new one (opened from the emailed link) ---
+  if (resetPasswordForm) {
+    resetPasswordForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      const password = document.getElementById("reset-password").value;
+
+      try {
+        const { ok, data, error } = await api.post("/password-reset/confirm", {
+          body: { token: resetPasswordForm.dataset.token, password },
+        });
+
+        if (!ok) {
+          showMessage(
+            "auth-messages",
+            error || "Could not reset the password.",
+            true
+          );
+          return;
+        }
+
+        showMessage("auth-messages", data.message, false);
+        resetPasswordForm.reset();
+        resetPasswordForm.hidden = true;
+        resetRequestForm.hidden = false;
+      } catch (err) {
+        console.error("Error resetting password:", err);
+        showMessage(
+          "auth-messages",
+          "Something went wrong resetting the password.",
+          true
+        );
+      }
+    });
+  }
+
   // --- Logout ---
   if (logoutButton) {
     logoutButton.addEventListener("click", async () => {
       try {
-        const response = await fetch(`${BASE_PATH}/login`, {
-          method: "DELETE",
-        });
-        const data = await safeJson(response);
+        const { data } = await api.delete("/login");
 
         showMessage(
           "auth-messages",
@@ -286,22 +352,156 @@ function setupAuthHandlers() {
   }
 }
 
+/**
+ * The api client calls me on every 401. If I thought I was logged in, my
+ * session has expired (or was ended elsewhere), so I go back to log in.
+ */
+function handleUnauthorized() {
+  if (!currentUsername) return; // a failed login, not an expired session
+
+  updateCurrentUserView(null);
+  showMessage(
+    "auth-messages",
+    "My session has expired – please log in again.",
+    true
+  );
+}
+
+/**
+ * The verification and reset emails link to this page with a token in the
+ * hash (#verify-email=... or #reset-password=...). On page load I act on it
+ * and then remove it, so a refresh doesn't use it twice.
+ */
+async function handleEmailLink() {
+  const match = location.hash.match(/^#(verify-email|reset-password)=(.+)$/);
+  if (!match) return;
+
+  const [, action, token] = match;
+  history.replaceState(null, "", location.pathname + location.search);
+
+  if (action === "reset-password") {
+    const resetPasswordForm = document.getElementById("reset-password-form");
+    resetPasswordForm.dataset.token = token;
+    resetPasswordForm.hidden = false;
+    document.getElementById("reset-request-form").hidden = true;
+    showMessage("auth-messages", "I can choose a new password below.", false);
+    return;
+  }
+
+  try {
+    const { ok, error } = await api.post("/email-verification/confirm", {
+      body: { token },
+    });
+    showMessage(
+      "auth-messages",
+      ok ? "My email address is verified." : error || "Verification failed.",
+      !ok
+    );
+  } catch (err) {
+    console.error("Error verifying email:", err);
+    showMessage(
+      "auth-messages",
+      "Something went wrong verifying my email.",
+      true
+    );
+  }
+}
+
 /**
  * On page load I ask the server whether I am already logged in.
  * This allows my session cookie to keep me logged in across refreshes.
  */
 async function checkCurrentLogin() {
   try {
-    const response = await fetch(`${BASE_PATH}/login`);
-    if (!response.ok) {
+    const { ok, data } = await api.get("/login");
+    updateCurrentUserView(ok ? data : null);
+  } catch (err) {
+    console.error("Error checking login status:", err);
+    updateCurrentUserView(null);
+  }
+}
+
+/**
+ * I list every device I'm logged in on (GET /sessions), so I can log out
+ * one I no longer use or don't recognise.
+ */
+async function loadSessions() {
+  const listEl = document.getElementById("sessions-list");
+  if (!listEl) return;
+
+  listEl.innerHTML = "<li>Loading...</li>";
+
+  try {
+    const { ok, data } = await api.get("/sessions");
+
+    if (!ok) {
+      listEl.innerHTML = "<li>Could not load devices.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    data.forEach((s) => {
+      const li = document.createElement("li");
+
+      const infoSpan = document.createElement("span");
+      const device = s.userAgent || "Unknown device";
+      const remembered = s.remember ? " · remembered" : "";
+      infoSpan.textContent = s.current
+        ? `${device} (this device)${remembered}`
+        : `${device} · last used ${formatDate(s.lastSeenAt)}${remembered}`;
+      infoSpan.title = `Logged in ${formatDate(s.createdAt)} from ${s.ip}`;
+      li.appendChild(infoSpan);
+
+      const endBtn = document.createElement("button");
+      endBtn.className = "secondary-btn";
+      endBtn.textContent = "Log out";
+      endBtn.addEventListener("click", () => endSession(s));
+      li.appendChild(endBtn);
+
+      listEl.appendChild(li);
+    });
+  } catch (err) {
+    console.error("Error loading sessions:", err);
+    listEl.innerHTML = "<li>Something went wrong loading devices.</li>";
+  }
+}
+
+/**
+ * I log out one device with DELETE /sessions/:id. If it was this one,
+ * I'm back at the login form.
+ */
+async function endSession(s) {
+  if (!s.current && !confirm("Log out this device?")) return;
+
+  try {
+    const { ok, data, error } = await api.delete("/sessions/:id", {
+      params: { id: s.id },
+    });
+
+    if (!ok) {
+      showMessage(
+        "sessions-messages",
+        error || "Could not log out that device.",
+        true
+      );
+      return;
+    }
+
+    if (data.loggedOut) {
       updateCurrentUserView(null);
+      showMessage("auth-messages", "I logged out.", false);
       return;
     }
-    const data = await safeJson(response);
-    updateCurrentUserView(data);
+
+    showMessage("sessions-messages", "That device is logged out.", false);
+    loadSessions();
   } catch (err) {
-    console.error("Error checking login status:", err);
-    updateCurrentUserView(null);
+    console.error("Error ending session:", err);
+    showMessage(
+      "sessions-messages",
+      "Something went wrong logging out that device.",
+      true
+    );
   }
 }
 
@@ -311,18 +511,58 @@ async function checkCurrentLogin() {
 
 /**
  * I set up the "Post" form.
- * If the user attaches an image, I first upload the file to /upload,
- * then I create the content with the returned image URL.
+ * If the user attaches photos, I first upload them all to /uploads,
+ * then I create the content with their URLs, captions and alt texts.
  */
 function setupPostHandler() {
   const postForm = document.getElementById("post-form");
   if (!postForm) return;
 
+  // one caption + alt text row per chosen photo
+  const fileInputEl = document.getElementById("post-image");
+  const detailsEl = document.getElementById("post-media-details");
+  if (fileInputEl && detailsEl) {
+    fileInputEl.addEventListener("change", () => {
+      detailsEl.innerHTML = "";
+      Array.from(fileInputEl.files).forEach((file) => {
+        const row = document.createElement("div");
+        row.className = "media-detail-row";
+
+        const name = document.createElement("span");
+        name.className = "post-meta";
+        name.textContent = file.name;
+
+        const caption = document.createElement("input");
+        caption.type = "text";
+        caption.placeholder = "Caption";
+        caption.maxLength = 300;
+        caption.dataset.mediaField = "caption";
+
+        const alt = document.createElement("input");
+        alt.type = "text";
+        alt.placeholder = "Describe the photo (alt text)";
+        alt.maxLength = 300;
+        alt.dataset.mediaField = "alt";
+
+        row.appendChild(name);
+        row.appendChild(caption);
+        row.appendChild(alt);
+        detailsEl.appendChild(row);
+      });
+    });
+    postForm.addEventListener("reset", () => {
+      detailsEl.innerHTML = "";
+    });
+  }
+
+  setupPostPlaceInput(postForm);
+
   postForm.addEventListener("submit", async (event) => {
     event.preventDefault();
 
     const text = document.getElementById("post-text").value.trim();
     const fileInput = document.getElementById("post-image");
+    const placeInput = document.getElementById("post-place");
 
     if (!text) {
       showMessage("post-messages", "I must enter some text for my post.", true);
@@ -332,45 +572,67 @@ function setupPostHandler() {
     showMessage("post-messages", "Posting your trip update...", false);
 
     try {
-      let imageUrl = "";
+      const media = [];
 
-      // If a file is selected, I upload it using FormData
+      // If photos are selected, I upload them together using FormData
       if (fileInput && fileInput.files && fileInput.files.length > 0) {
         const formData = new FormData();
-        formData.append("file", fileInput.files[0]);
-
-        const uploadResponse = await fetch(`${BASE_PATH}/upload`, {
-          method: "POST",
-          body: formData,
+        Array.from(fileInput.files).forEach((file) => {
+          formData.append("files", file);
         });
 
-        const uploadData = await safeJson(uploadResponse);
+        const upload = await api.post("/uploads", { body: formData });
+        const uploadData = upload.data;
 
-        if (!uploadResponse.ok) {
+        if (!upload.ok) {
           showMessage(
             "post-messages",
-            uploadData.error || "Photo upload failed.",
+            upload.error || "Photo upload failed.",
             true
           );
           return;
         }
 
-        imageUrl = uploadData.fileUrl || "";
+        // I don't post half a gallery
+        if (uploadData.failed && uploadData.failed.length > 0) {
+          const f = uploadData.failed[0];
+          showMessage("post-messages", `${f.originalName}: ${f.error}`, true);
+          return;
+        }
+
+        const rows = document.querySelectorAll(
+          "#post-media-details .media-detail-row"
+        );
+        uploadData.uploads.forEach((u, i) => {
+          const row = rows[i];
+          media.push({
+            url: u.fileUrl,
+            caption: row
+              ? row.querySelector("[data-media-field='caption']").value
+              : "",
+            alt: row ? row.querySelector("[data-media-field='alt']").value : "",
+          });
+        });
       }
 
-      // I now create the content post with text + optional imageUrl
-      const response = await fetch(`${BASE_PATH}/contents`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text, imageUrl }),
-      });
+      // I now create the content post with text, photos and the place
+      const body = { text, media };
+      if (placeInput && placeInput.value.trim()) {
+        body.place = placeInput.value.trim();
+      }
+      if (postCoords) {
+        body.lat = postCoords.lat;
+        body.lng = postCoords.lng;
+      }
+      const tripSelect = document.getElementById("post-trip");
+      if (tripSelect && tripSelect.value) body.tripId = tripSelect.value;
 
-      const data = await safeJson(response);
+      const { ok, error } = await api.post("/contents", { body });
 
-      if (!response.ok) {
+      if (!ok) {
         showMessage(
           "post-messages",
-          data.error || "Posting failed.",
+          error || "Posting failed.",
           true
         );
         return;
@@ -394,6 +656,82 @@ function setupPostHandler() {
   });
 }
 
+// Exact coordinates from "Use my location" (null = just the typed place).
+let postCoords = null;
+
+/**
+ * I suggest gazetteer cities while a place is typed (GET /places?q=).
+ * Every place field shares the #place-suggestions datalist.
+ */
+function attachPlaceSuggestions(placeInput) {
+  const suggestions = document.getElementById("place-suggestions");
+  if (!placeInput || !suggestions) return;
+
+  let timer = null;
+  placeInput.addEventListener("input", () => {
+    clearTimeout(timer);
+    const q = placeInput.value.trim();
+    if (q.length < 2) return;
+
+    timer = setTimeout(async () => {
+      try {
+        const { ok, data: places } = await api.get("/places", {
+          query: { q },
+        });
+        if (!ok) return;
+
+        suggestions.innerHTML = "";
+        places.forEach((place) => {
+          const option = document.createElement("option");
+          option.value = `${place.name}, ${place.country}`;
+          suggestions.appendChild(option);
+        });
+      } catch (err) {
+        console.error("Error loading place suggestions:", err);
+      }
+    }, 250);
+  });
+}
+
+/**
+ * I set up the post form's place field and let the browser's
+ * geolocation fill in an exact spot.
+ */
+function setupPostPlaceInput(postForm) {
+  const locationBtn = document.getElementById("post-use-location");
+  attachPlaceSuggestions(document.getElementById("post-place"));
+
+  if (locationBtn) {
+    locationBtn.addEventListener("click", () => {
+      if (!navigator.geolocation) {
+        showMessage(
+          "post-messages",
+          "My browser can't share a location.",
+          true
+        );
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (pos) => {
+          postCoords = {
+            lat: pos.coords.latitude,
+            lng: pos.coords.longitude,
+          };
+          locationBtn.textContent = "📍 Location added";
+        },
+        () => {
+          showMessage("post-messages", "I couldn't get my location.", true);
+        }
+      );
+    });
+  }
+
+  postForm.addEventListener("reset", () => {
+    postCoords = null;
+    if (locationBtn) locationBtn.textContent = "📍 Use my location";
+  });
+}
+
 /**
  * I attach a click handler so that when I press "Refresh feed" the feed reloads.
  */
@@ -404,50 +742,116 @@ function setupFeedHandler() {
 }
 
 /**
- * I fetch the logged-in user's feed from GET /{ID}/feed.
- * The backend returns an array of posts from followed users.
- * For each post I also attach like and comment UI.
+ * I create an infinite-scroll list of posts.
+ * fetchPage(before) requests one page through the api client (before is the
+ * cursor, or "" for the first page).
+ * The backend answers with { contents, nextCursor }; whenever the sentinel at
+ * the bottom of the list scrolls into view I fetch the next page and append it.
  */
-async function loadFeed() {
-  const container = document.getElementById("feed-contents");
-  if (!container) return;
+function createInfiniteList({ containerId, messagesId, fetchPage, emptyHtml, errorText }) {
+  let nextCursor = null;
+  let loading = false;
+  let generation = 0; // bumped on reset so late responses from an old list are ignored
+
+  const sentinel = document.createElement("div");
+  sentinel.className = "scroll-sentinel";
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMore();
+    },
+    { rootMargin: "200px" }
+  );
+
+  async function loadPage(reset) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (reset) {
+      generation++;
+      nextCursor = null;
+      loading = false;
+      observer.unobserve(sentinel);
+      container.innerHTML = "";
+      showMessage(messagesId, "");
+    } else if (loading || !nextCursor) {
+      return;
+    }
 
-  container.innerHTML = "";
-  showMessage("feed-messages", "");
+    const myGeneration = generation;
+    loading = true;
 
-  try {
-    const response = await fetch(`${BASE_PATH}/feed`);
-    const data = await safeJson(response);
+    try {
+      const { ok, data, error } = await fetchPage(nextCursor || "");
+      if (myGeneration !== generation) return;
 
-    if (!response.ok) {
-      showMessage(
-        "feed-messages",
-        data.error || "Failed to load feed.",
-        true
-      );
-      return;
-    }
+      if (!ok) {
+        showMessage(messagesId, error || errorText, true);
+        return;
+      }
 
-    const contentsArray = Array.isArray(data) ? data : data.contents || [];
+      const contentsArray = Array.isArray(data) ? data : data.contents || [];
+      nextCursor = data.nextCursor || null;
 
-    if (contentsArray.length === 0) {
-      container.innerHTML =
-        "<p>No posts in your feed yet. Follow someone or create a post!</p>";
-      return;
+      if (reset && contentsArray.length === 0) {
+        container.innerHTML = emptyHtml;
+        return;
+      }
+
+      contentsArray.forEach((item) => {
+        container.appendChild(buildPostElement(item, true));
+      });
+      scheduleWatchListUpdate();
+
+      // The sentinel always sits after the last post.
+      if (nextCursor) {
+        container.appendChild(sentinel);
+        observer.observe(sentinel);
+      } else {
+        observer.unobserve(sentinel);
+        sentinel.remove();
+      }
+    } catch (err) {
+      console.error(errorText, err);
+      if (myGeneration === generation) {
+        showMessage(messagesId, errorText, true);
+      }
+    } finally {
+      if (myGeneration === generation) loading = false;
     }
+  }
+
+  function loadMore() {
+    return loadPage(false);
+  }
+
+  return {
+    reset: () => loadPage(true),
+    loadMore,
+  };
+}
 
-    contentsArray.forEach((item) => {
-      const postEl = buildPostElement(item, true);
-      container.appendChild(postEl);
+// The feed list is created the first time I need it (the DOM must exist).
+let feedList = null;
+
+/**
+ * I fetch the logged-in user's feed from GET /{ID}/feed.
+ * The backend returns one page of posts from followed users at a time;
+ * more pages load as I scroll. For each post I also attach like and comment UI.
+ */
+function loadFeed() {
+  if (!feedList) {
+    feedList = createInfiniteList({
+      containerId: "feed-contents",
+      messagesId: "feed-messages",
+      fetchPage: (before) =>
+        api.get("/feed", { query: { limit: PAGE_SIZE, before } }),
+      emptyHtml:
+        "<p>No posts in your feed yet. Follow someone or create a post!</p>",
+      errorText: "Something went wrong loading feed.",
     });
-  } catch (err) {
-    console.error("Error loading feed:", err);
-    showMessage(
-      "feed-messages",
-      "Something went wrong loading feed.",
-      true
-    );
   }
+  return feedList.reset();
 }
 
 /**
@@ -471,20 +875,71 @@ function buildPostElement(item, showInteractions = false) {
   const metaEl = document.createElement("div");
   metaEl.className = "post-meta";
   const dateText = formatDate(item.createdAt);
-  metaEl.textContent = `By ${item.username || "Unknown"} • ${dateText}`;
+  // The author's picture and name open their public profile.
+  if (item.username) {
+    metaEl.appendChild(buildMiniAvatar(item.username, item.authorAvatarUrl));
+  }
+  metaEl.append("By ");
+  if (item.username) {
+    metaEl.appendChild(buildProfileLink(item.username, item.username));
+  } else {
+    metaEl.append("Unknown");
+  }
+  metaEl.append(` • ${dateText}`);
+
+  // The place opens the place's timeline.
+  if (item.place) {
+    metaEl.append(" • ");
+    metaEl.appendChild(buildPlaceLink(item.place));
+  }
+  if (item.distanceKm !== undefined) {
+    metaEl.append(` (${item.distanceKm} km away)`);
+  }
+  if (item.tripId) {
+    const tripLink = document.createElement("a");
+    tripLink.href = "#";
+    tripLink.className = "place-link";
+    tripLink.textContent = "🧳 View trip";
+    tripLink.addEventListener("click", (event) => {
+      event.preventDefault();
+      showSection("trips-section");
+      openTrip(item.tripId);
+    });
+    metaEl.append(" • ");
+    metaEl.appendChild(tripLink);
+  }
+
+  // "edited" marker – hovering shows when the last edit happened
+  if (item.editedAt) {
+    const editedEl = document.createElement("span");
+    editedEl.className = "post-edited";
+    editedEl.textContent = " • edited";
+    editedEl.title = `Edited ${formatDate(item.editedAt)}`;
+    metaEl.appendChild(editedEl);
+  }
   div.appendChild(metaEl);
 
-  // Full text
+  // Full text (hashtags become links to the tag timeline)
   const textEl = document.createElement("div");
-  textEl.textContent = item.text || "";
+  renderPostText(textEl, item.text || "", item.mentions || []);
   div.appendChild(textEl);
 
-  // Optional image
-  if (item.imageUrl) {
-    const img = document.createElement("img");
-    img.src = item.imageUrl;
-    img.alt = "Trip photo";
-    div.appendChild(img);
+  // Edit / delete controls on my own posts, a Report button on everyone else's
+  if (currentUsername && item.username === currentUsername) {
+    div.appendChild(buildOwnerControls(item, div, textEl));
+  } else if (currentUsername) {
+    const reportBtn = document.createElement("button");
+    reportBtn.type = "button";
+    reportBtn.className = "secondary-btn post-report-btn";
+    reportBtn.textContent = "Report";
+    reportBtn.addEventListener("click", () => reportPost(item._id));
+    div.appendChild(reportBtn);
+  }
+
+  // Optional photos (one image, or a carousel for a gallery)
+  const media = postMedia(item);
+  if (media.length > 0) {
+    div.appendChild(buildMediaCarousel(item, media));
   }
 
   if (showInteractions) {
@@ -565,76 +1020,483 @@ function buildPostElement(item, showInteractions = false) {
 }
 
 /**
- * I ask the backend how many likes a post has.
+ * Older posts only have imageUrl; newer ones have a media list.
  */
-async function loadLikeCount(postId, targetSpan) {
-  try {
-    const response = await fetch(`${BASE_PATH}/likes?postId=${postId}`);
-    const data = await safeJson(response);
+function postMedia(item) {
+  if (Array.isArray(item.media)) return item.media;
+  return item.imageUrl ? [{ url: item.imageUrl, caption: "", alt: "" }] : [];
+}
 
-    if (!response.ok) {
-      targetSpan.textContent = "0 likes";
-      return;
-    }
+/**
+ * I point an <img> at a photo's smaller copies: the server stores thumb and
+ * medium variants with their widths, and srcset lets the browser download
+ * the smallest one that still looks sharp. Older photos only have url.
+ */
+function setResponsiveImage(img, m, sizes) {
+  const variants = m.variants || {};
+  const candidates = [variants.thumb, variants.medium]
+    .filter(Boolean)
+    .map((v) => `${v.url} ${v.width}w`);
+  if (m.width) candidates.push(`${m.url} ${m.width}w`);
+
+  img.src = (variants.medium || m).url;
+  if (candidates.length > 1) {
+    img.srcset = candidates.join(", ");
+    img.sizes = sizes;
+  } else {
+    img.removeAttribute("srcset");
+    img.removeAttribute("sizes");
+  }
 
-    const count = data.count ?? 0;
-    targetSpan.textContent =
-      count === 1 ? "1 like" : `${count} likes`;
-  } catch (err) {
-    console.error("Error loading like count:", err);
-    targetSpan.textContent = "0 likes";
+  // known dimensions reserve the space before the photo arrives
+  if (m.width && m.height) {
+    img.width = m.width;
+    img.height = m.height;
+  } else {
+    img.removeAttribute("width");
+    img.removeAttribute("height");
   }
+  img.loading = "lazy";
 }
 
 /**
- * I toggle a like on or off for a post.
- * For simplicity I always try a "like" first, and if it fails with "already liked"
- * I then send an "unlike".
+ * I build the photo area of a post: one photo at a time with its caption,
+ * prev/next buttons when there are several, and a click opens the lightbox.
+ * On my own posts there is also an "Add to album" button for the shown photo.
  */
-async function toggleLike(postId, targetSpan) {
-  try {
-    const response = await fetch(`${BASE_PATH}/likes`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ postId }),
+function buildMediaCarousel(item, media) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "post-media";
+
+  const figure = document.createElement("figure");
+  const img = document.createElement("img");
+  const caption = document.createElement("figcaption");
+  figure.appendChild(img);
+  figure.appendChild(caption);
+  wrapper.appendChild(figure);
+
+  let index = 0;
+  const counter = document.createElement("span");
+  counter.className = "post-meta";
+
+  function show(i) {
+    index = (i + media.length) % media.length;
+    const m = media[index];
+    setResponsiveImage(img, m, "(max-width: 700px) 100vw, 640px");
+    img.alt = m.alt || "Trip photo";
+    caption.textContent = m.caption || "";
+    caption.hidden = !m.caption;
+    counter.textContent = `${index + 1} / ${media.length}`;
+  }
+
+  img.addEventListener("click", () => openLightbox(media, index));
+
+  const controls = document.createElement("div");
+  controls.className = "form-inline post-media-controls";
+
+  if (media.length > 1) {
+    const prevBtn = document.createElement("button");
+    prevBtn.type = "button";
+    prevBtn.className = "secondary-btn";
+    prevBtn.textContent = "‹";
+    prevBtn.setAttribute("aria-label", "Previous photo");
+    prevBtn.addEventListener("click", () => show(index - 1));
+
+    const nextBtn = document.createElement("button");
+    nextBtn.type = "button";
+    nextBtn.className = "secondary-btn";
+    nextBtn.textContent = "›";
+    nextBtn.setAttribute("aria-label", "Next photo");
+    nextBtn.addEventListener("click", () => show(index + 1));
+
+    controls.appendChild(prevBtn);
+    controls.appendChild(counter);
+    controls.appendChild(nextBtn);
+  }
+
+  if (currentUsername && item.username === currentUsername) {
+    const albumBtn = document.createElement("button");
+    albumBtn.type = "button";
+    albumBtn.className = "secondary-btn";
+    albumBtn.textContent = "Add to album";
+    albumBtn.addEventListener("click", () => {
+      addPhotoToAlbum(item._id, media[index].url);
     });
+    controls.appendChild(albumBtn);
+  }
 
-    const data = await safeJson(response);
+  if (controls.childElementCount > 0) wrapper.appendChild(controls);
 
-    if (!response.ok && data.error && data.error.includes("already")) {
-      // If backend tells me I already liked, I try to remove the like.
-      const delResponse = await fetch(`${BASE_PATH}/likes`, {
-        method: "DELETE",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ postId }),
-      });
-      await safeJson(delResponse);
-    }
+  show(0);
+  return wrapper;
+}
 
-    // After like/unlike I refresh the like count.
-    await loadLikeCount(postId, targetSpan);
-  } catch (err) {
-    console.error("Error toggling like:", err);
-  }
+// ----- Lightbox (one shared overlay for every post and album) -----
+let lightboxMedia = [];
+let lightboxIndex = 0;
+
+function showLightboxPhoto(i) {
+  lightboxIndex = (i + lightboxMedia.length) % lightboxMedia.length;
+  const m = lightboxMedia[lightboxIndex];
+
+  // the lightbox is the one place that shows the full-size original
+  const img = document.getElementById("lightbox-image");
+  img.src = m.url;
+  img.alt = m.alt || "Trip photo";
+  document.getElementById("lightbox-caption").textContent = m.caption || "";
+  document.getElementById("lightbox-counter").textContent =
+    lightboxMedia.length > 1
+      ? `${lightboxIndex + 1} / ${lightboxMedia.length}`
+      : "";
 }
 
 /**
- * I fetch comments for a particular post and display them under the post.
+ * I show the photos full-size, starting at index.
  */
-async function loadComments(postId, container) {
-  container.innerHTML = "Loading comments...";
+function openLightbox(media, index = 0) {
+  const box = document.getElementById("lightbox");
+  if (!box || media.length === 0) return;
+
+  lightboxMedia = media;
+  showLightboxPhoto(index);
+  document.getElementById("lightbox-prev").hidden = media.length < 2;
+  document.getElementById("lightbox-next").hidden = media.length < 2;
+  box.hidden = false;
+  document.getElementById("lightbox-close").focus();
+}
 
-  try {
-    const response = await fetch(`${BASE_PATH}/comments?postId=${postId}`);
-    const data = await safeJson(response);
+function closeLightbox() {
+  const box = document.getElementById("lightbox");
+  if (box) box.hidden = true;
+}
 
-    if (!response.ok) {
-      container.textContent = data.error || "Failed to load comments.";
-      return;
-    }
+function setupLightboxHandlers() {
+  const box = document.getElementById("lightbox");
+  if (!box) return;
+
+  document
+    .getElementById("lightbox-close")
+    .addEventListener("click", closeLightbox);
+  document
+    .getElementById("lightbox-prev")
+    .addEventListener("click", () => showLightboxPhoto(lightboxIndex - 1));
+  document
+    .getElementById("lightbox-next")
+    .addEventListener("click", () => showLightboxPhoto(lightboxIndex + 1));
+
+  // a click on the dark background closes it too
+  box.addEventListener("click", (evt) => {
+    if (evt.target === box) closeLightbox();
+  });
+
+  document.addEventListener("keydown", (evt) => {
+    if (box.hidden) return;
+    if (evt.key === "Escape") closeLightbox();
+    if (evt.key === "ArrowLeft") showLightboxPhoto(lightboxIndex - 1);
+    if (evt.key === "ArrowRight") showLightboxPhoto(lightboxIndex + 1);
+  });
+}
+
+// Same rules as the server's extractHashtags / extractMentionCandidates:
+// #tag is letters/digits/_, @name may also contain . and - (not at the end).
+const HASHTAG_OR_MENTION_REGEX =
+  /(^|[^\p{L}\p{N}_&#@])(?:#([\p{L}\p{N}_]{1,50})|@([\p{L}\p{N}_.-]{1,50}))/gu;
+
+/**
+ * I fill an element with post or comment text, turning every #tag into a
+ * tag link and every @mention the server resolved into a profile link.
+ * I only ever create text nodes, so user text can't inject HTML.
+ */
+function renderPostText(targetEl, text, mentions = []) {
+  targetEl.textContent = "";
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(HASHTAG_OR_MENTION_REGEX)) {
+    const start = match.index + match[1].length;
+    let link = null;
+    let end = start;
+
+    if (match[2]) {
+      link = buildTagLink(match[2]);
+      end = start + 1 + match[2].length;
+    } else {
+      const name = match[3].replace(/[.-]+$/, "");
+      if (mentions.includes(name)) {
+        link = buildMentionLink(name);
+        end = start + 1 + name.length;
+      }
+    }
+
+    // An @name that isn't a real user just stays as plain text.
+    if (!link) continue;
+
+    targetEl.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+    targetEl.appendChild(link);
+    lastIndex = end;
+  }
+
+  targetEl.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+/**
+ * I create an "@username" link that opens that user's profile.
+ */
+function buildMentionLink(username) {
+  const link = buildProfileLink(username, `@${username}`);
+  link.classList.add("mention-link");
+  return link;
+}
+
+/**
+ * I create a link with the given text that opens a user's public profile.
+ */
+function buildProfileLink(username, text) {
+  const link = document.createElement("a");
+  link.href = "#";
+  link.className = "profile-link";
+  link.textContent = text;
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    openUserProfile(username);
+  });
+  return link;
+}
+
+/**
+ * I create a "#tag" link that opens that tag's timeline.
+ */
+function buildTagLink(tag) {
+  const link = document.createElement("a");
+  link.href = "#";
+  link.className = "hashtag-link";
+  link.textContent = `#${tag}`;
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    openTagTimeline(tag);
+  });
+  return link;
+}
+
+/**
+ * I build the Edit and Delete buttons for a post I wrote.
+ * Edit swaps the text for an inline form; Delete removes the whole card.
+ */
+function buildOwnerControls(item, postEl, textEl) {
+  const bar = document.createElement("div");
+  bar.className = "post-owner-actions";
+
+  const editBtn = document.createElement("button");
+  editBtn.type = "button";
+  editBtn.className = "secondary-btn";
+  editBtn.textContent = "Edit";
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "secondary-btn";
+  deleteBtn.textContent = "Delete";
+
+  const editForm = document.createElement("form");
+  editForm.className = "form-grid post-edit-form";
+  editForm.hidden = true;
+
+  const textarea = document.createElement("textarea");
+  textarea.rows = 3;
+  textarea.required = true;
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "submit";
+  saveBtn.className = "primary-btn";
+  saveBtn.textContent = "Save";
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "secondary-btn";
+  cancelBtn.textContent = "Cancel";
+
+  editForm.appendChild(textarea);
+  editForm.appendChild(saveBtn);
+  editForm.appendChild(cancelBtn);
+
+  editBtn.addEventListener("click", () => {
+    textarea.value = item.text || "";
+    editForm.hidden = false;
+    textEl.hidden = true;
+  });
+
+  cancelBtn.addEventListener("click", () => {
+    editForm.hidden = true;
+    textEl.hidden = false;
+  });
+
+  editForm.addEventListener("submit", async (evt) => {
+    evt.preventDefault();
+    const text = textarea.value.trim();
+    if (!text) return;
+
+    const updated = await updatePost(item._id, text);
+    if (!updated) return;
+
+    // I swap the old card for a freshly built one so the "edited" marker appears.
+    const showInteractions = !!postEl.querySelector(".post-like-count");
+    postEl.replaceWith(buildPostElement(updated, showInteractions));
+  });
+
+  deleteBtn.addEventListener("click", async () => {
+    if (!confirm("Delete this post? Its likes and comments will be removed too.")) {
+      return;
+    }
+    const deleted = await deletePost(item._id);
+    if (deleted) postEl.remove();
+  });
+
+  bar.appendChild(editBtn);
+  bar.appendChild(deleteBtn);
+  bar.appendChild(editForm);
+  return bar;
+}
+
+/**
+ * I send the new text of my post to PUT /contents/:id.
+ * I return the updated post, or null if it failed.
+ */
+async function updatePost(postId, text) {
+  try {
+    const { ok, data, error } = await api.put("/contents/:contentId", {
+      params: { contentId: postId },
+      body: { text },
+    });
+
+    if (!ok) {
+      alert(error || "Could not update post.");
+      return null;
+    }
+
+    return data.content;
+  } catch (err) {
+    console.error("Error updating post:", err);
+    alert("Something went wrong updating the post.");
+    return null;
+  }
+}
+
+/**
+ * I delete my post with DELETE /contents/:id.
+ */
+async function deletePost(postId) {
+  try {
+    const { ok, error } = await api.delete("/contents/:contentId", {
+      params: { contentId: postId },
+    });
+
+    if (!ok) {
+      alert(error || "Could not delete post.");
+      return false;
+    }
+
+    return true;
+  } catch (err) {
+    console.error("Error deleting post:", err);
+    alert("Something went wrong deleting the post.");
+    return false;
+  }
+}
+
+/**
+ * I turn a like count into "1 like" / "3 likes".
+ */
+function formatLikeCount(count) {
+  return count === 1 ? "1 like" : `${count} likes`;
+}
+
+/**
+ * I report a post to the moderators with POST /contents/:id/report.
+ */
+async function reportPost(postId) {
+  const reason = prompt("Why are you reporting this post?");
+  if (!reason || !reason.trim()) return;
+
+  try {
+    const { ok, data, error } = await api.post("/contents/:contentId/report", {
+      params: { contentId: postId },
+      body: { reason: reason.trim() },
+    });
+
+    if (!ok) {
+      alert(error || "Could not report post.");
+      return;
+    }
+
+    alert(data.message || "Post reported.");
+  } catch (err) {
+    console.error("Error reporting post:", err);
+    alert("Something went wrong reporting the post.");
+  }
+}
+
+/**
+ * I ask the backend how many likes a post has (GET /contents/:id/likes).
+ */
+async function loadLikeCount(postId, targetSpan) {
+  try {
+    const { ok, data } = await api.get("/contents/:contentId/likes", {
+      params: { contentId: postId },
+    });
+
+    if (!ok) {
+      targetSpan.textContent = "0 likes";
+      return;
+    }
+
+    targetSpan.textContent = formatLikeCount(data.count ?? 0);
+  } catch (err) {
+    console.error("Error loading like count:", err);
+    targetSpan.textContent = "0 likes";
+  }
+}
+
+/**
+ * I toggle a like on or off for a post.
+ * For simplicity I always try a "like" first, and if it fails with "already liked"
+ * I then send an "unlike".
+ */
+async function toggleLike(postId, targetSpan) {
+  const options = { params: { contentId: postId } };
+  try {
+    const { ok, error } = await api.post("/contents/:contentId/like", options);
+
+    if (!ok && error && error.includes("already")) {
+      // If backend tells me I already liked, I try to remove the like.
+      await api.delete("/contents/:contentId/like", options);
+    }
+
+    // After like/unlike I refresh the like count.
+    await loadLikeCount(postId, targetSpan);
+  } catch (err) {
+    console.error("Error toggling like:", err);
+  }
+}
+
+/**
+ * I fetch comments for a particular post and display them under the post.
+ */
+async function loadComments(postId, container) {
+  container.innerHTML = "Loading comments...";
+
+  try {
+    const { ok, data, error } = await api.get("/contents/:contentId/comments", {
+      params: { contentId: postId },
+    });
+
+    if (!ok) {
+      container.textContent = error || "Failed to load comments.";
+      return;
+    }
 
     const comments = Array.isArray(data) ? data : data.comments || [];
 
+    // Live "comment" events are only merged into lists I have opened.
+    container.dataset.loaded = "true";
+
     if (comments.length === 0) {
       container.textContent = "No comments yet.";
       return;
@@ -642,21 +1504,7 @@ async function loadComments(postId, container) {
 
     container.innerHTML = "";
     comments.forEach((comment) => {
-      const cDiv = document.createElement("div");
-      cDiv.className = "comment";
-
-      const meta = document.createElement("div");
-      meta.className = "post-meta";
-      meta.textContent = `${comment.username} • ${formatDate(
-        comment.createdAt
-      )}`;
-      cDiv.appendChild(meta);
-
-      const text = document.createElement("div");
-      text.textContent = comment.text || "";
-      cDiv.appendChild(text);
-
-      container.appendChild(cDiv);
+      container.appendChild(buildCommentElement(comment));
     });
   } catch (err) {
     console.error("Error loading comments:", err);
@@ -664,21 +1512,39 @@ async function loadComments(postId, container) {
   }
 }
 
+/**
+ * I create the DOM for one comment.
+ */
+function buildCommentElement(comment) {
+  const cDiv = document.createElement("div");
+  cDiv.className = "comment";
+  cDiv.dataset.commentId = comment._id;
+
+  const meta = document.createElement("div");
+  meta.className = "post-meta";
+  meta.appendChild(buildMiniAvatar(comment.username, comment.authorAvatarUrl));
+  meta.append(`${comment.username} • ${formatDate(comment.createdAt)}`);
+  cDiv.appendChild(meta);
+
+  const text = document.createElement("div");
+  renderPostText(text, comment.text || "", comment.mentions || []);
+  cDiv.appendChild(text);
+
+  return cDiv;
+}
+
 /**
  * I send a new comment to the backend and refresh the comment list afterwards.
  */
 async function postComment(postId, text, container, inputEl) {
   try {
-    const response = await fetch(`${BASE_PATH}/comments`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ postId, text }),
+    const { ok, error } = await api.post("/contents/:contentId/comments", {
+      params: { contentId: postId },
+      body: { text },
     });
 
-    const data = await safeJson(response);
-
-    if (!response.ok) {
-      console.error("Error posting comment:", data.error);
+    if (!ok) {
+      console.error("Error posting comment:", error);
       return;
     }
 
@@ -719,14 +1585,12 @@ async function loadUserSearchResults(term) {
   showMessage("follow-messages", "");
 
   try {
-    const url = `${BASE_PATH}/users?q=${encodeURIComponent(term || "")}`;
-    const response = await fetch(url);
-    const data = await safeJson(response);
+    const { ok, data, error } = await api.get("/users", { query: { q: term } });
 
-    if (!response.ok) {
+    if (!ok) {
       showMessage(
         "follow-messages",
-        data.error || "User search failed.",
+        error || "User search failed.",
         true
       );
       return;
@@ -743,10 +1607,20 @@ async function loadUserSearchResults(term) {
       const li = document.createElement("li");
 
       const infoSpan = document.createElement("span");
-      infoSpan.textContent =
-        user.displayName && user.displayName !== user.username
-          ? `${user.displayName} (@${user.username})`
-          : user.username;
+      infoSpan.appendChild(
+        buildMiniAvatar(
+          user.username,
+          user.profileImages?.small || user.profileImageUrl
+        )
+      );
+      infoSpan.appendChild(
+        buildProfileLink(
+          user.username,
+          user.displayName && user.displayName !== user.username
+            ? `${user.displayName} (@${user.username})`
+            : user.username
+        )
+      );
       li.appendChild(infoSpan);
 
       const followBtn = document.createElement("button");
@@ -756,7 +1630,16 @@ async function loadUserSearchResults(term) {
         followUser(user.username);
       });
 
+      const messageBtn = document.createElement("button");
+      messageBtn.className = "secondary-btn";
+      messageBtn.textContent = "Message";
+      messageBtn.addEventListener("click", () => {
+        showSection("messages-section");
+        startConversationWith(user.username);
+      });
+
       li.appendChild(followBtn);
+      li.appendChild(messageBtn);
       listEl.appendChild(li);
     });
   } catch (err) {
@@ -771,186 +1654,878 @@ async function loadUserSearchResults(term) {
 
 /**
  * I send a follow request to POST /follow.
+ * The result is shown in messagesId; I return true if it worked.
  */
-async function followUser(usernameToFollow) {
+async function followUser(usernameToFollow, messagesId = "follow-messages") {
   try {
-    const response = await fetch(`${BASE_PATH}/follow`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ usernameToFollow }),
+    const { ok, error } = await api.post("/follow", {
+      body: { usernameToFollow },
     });
 
-    const data = await safeJson(response);
-
-    if (!response.ok) {
+    if (!ok) {
       showMessage(
-        "follow-messages",
-        data.error || "Follow failed.",
+        messagesId,
+        error || "Follow failed.",
         true
       );
-      return;
+      return false;
     }
 
     showMessage(
-      "follow-messages",
+      messagesId,
       `I am now following ${usernameToFollow}.`,
       false
     );
+    return true;
   } catch (err) {
     console.error("Error following user:", err);
     showMessage(
-      "follow-messages",
+      messagesId,
       "Something went wrong following user.",
       true
     );
+    return false;
+  }
+}
+
+/**
+ * I stop following a user with DELETE /follow.
+ */
+async function unfollowUser(usernameToUnfollow, messagesId = "follow-messages") {
+  try {
+    const { ok, error } = await api.delete("/follow", {
+      body: { usernameToUnfollow },
+    });
+
+    if (!ok) {
+      showMessage(messagesId, error || "Unfollow failed.", true);
+      return false;
+    }
+
+    showMessage(messagesId, `I unfollowed ${usernameToUnfollow}.`, false);
+    return true;
+  } catch (err) {
+    console.error("Error unfollowing user:", err);
+    showMessage(messagesId, "Something went wrong unfollowing user.", true);
+    return false;
   }
 }
 
 // ===============================
-// 6. Search posts (back-end search)
+// 6. Public profiles of other users
 // ===============================
 
+// The profile currently shown in user-profile-section.
+let viewedProfile = null; // the GET /users/:username response
+let profilePostsList = null;
+let profilePeople = { direction: "followers", nextCursor: null };
+
 /**
- * I wire up the "Search posts" form so it calls GET /contents?q=...
+ * I fill an avatar element with the user's picture, or their first letter.
  */
-function setupContentSearchHandler() {
-  const form = document.getElementById("content-search-form");
-  if (!form) return;
-
-  form.addEventListener("submit", async (event) => {
-    event.preventDefault();
-    const term = document.getElementById("content-search-term").value.trim();
-    await loadContentSearchResults(term);
-  });
+function renderAvatar(avatarEl, user) {
+  avatarEl.textContent = "";
+  if (user.profileImageUrl) {
+    const img = document.createElement("img");
+    img.src = user.profileImageUrl;
+    img.alt = `${user.username}'s profile picture`;
+    avatarEl.appendChild(img);
+  } else {
+    avatarEl.textContent = (user.username || "?")[0].toUpperCase();
+  }
 }
 
 /**
- * I ask the backend to search posts for me using the query parameter q.
+ * I build the small round picture shown next to an author's name.
+ * Without a picture it falls back to the first letter, like renderAvatar.
  */
-async function loadContentSearchResults(term) {
-  const container = document.getElementById("content-search-results");
-  if (!container) return;
+function buildMiniAvatar(username, imageUrl) {
+  const span = document.createElement("span");
+  span.className = "mini-avatar";
+  if (imageUrl) {
+    const img = document.createElement("img");
+    img.src = imageUrl;
+    img.alt = "";
+    img.loading = "lazy";
+    span.appendChild(img);
+  } else {
+    span.textContent = (username || "?")[0].toUpperCase();
+  }
+  return span;
+}
 
-  container.innerHTML = "";
-  showMessage("content-search-messages", "");
+/**
+ * I open another user's public profile (GET /users/:username)
+ * and show their posts underneath.
+ */
+async function openUserProfile(username) {
+  showSection("user-profile-section");
+  showMessage("user-profile-messages", "");
 
   try {
-    const url = `${BASE_PATH}/contents?q=${encodeURIComponent(term || "")}`;
-    const response = await fetch(url);
-    const data = await safeJson(response);
+    const { ok, data, error } = await api.get("/users/:username", {
+      params: { username },
+    });
 
-    if (!response.ok) {
+    if (!ok) {
       showMessage(
-        "content-search-messages",
-        data.error || "Search failed.",
+        "user-profile-messages",
+        error || "Could not load profile.",
         true
       );
       return;
     }
 
-    const contentsArray = Array.isArray(data) ? data : data.contents || [];
-
-    if (contentsArray.length === 0) {
-      container.innerHTML = "<p>No matching posts found.</p>";
-      return;
-    }
-
-    contentsArray.forEach((item) => {
-      // Here I show the same kind of card as in the feed,
-      // including likes and comments, so the site feels consistent.
-      const postEl = buildPostElement(item, true);
-      container.appendChild(postEl);
-    });
+    viewedProfile = data;
+    renderUserProfile();
+    showProfileTab("posts");
   } catch (err) {
-    console.error("Error searching contents:", err);
+    console.error("Error loading user profile:", err);
     showMessage(
-      "content-search-messages",
-      "Something went wrong with search.",
+      "user-profile-messages",
+      "Something went wrong loading profile.",
       true
     );
   }
 }
 
-// ===============================
-// 7. Profile view, edit and picture upload
-// ===============================
+/**
+ * I copy viewedProfile into the profile card.
+ */
+function renderUserProfile() {
+  const p = viewedProfile;
+
+  renderAvatar(document.getElementById("user-profile-avatar"), p);
+  document.getElementById("user-profile-name").textContent =
+    p.displayName || p.username;
+  document.getElementById("user-profile-handle").textContent =
+    `@${p.username}` + (p.followsYou ? " • follows you" : "");
+  document.getElementById("user-profile-bio").textContent = p.bio || "—";
+  document.getElementById("user-profile-location").textContent =
+    p.location || "—";
+  document.getElementById("user-profile-joined").textContent =
+    p.joinedAt ? new Date(p.joinedAt).toLocaleDateString() : "—";
+
+  document.getElementById("user-profile-post-count").textContent = p.postCount;
+  document.getElementById("user-profile-follower-count").textContent =
+    p.followerCount;
+  document.getElementById("user-profile-following-count").textContent =
+    p.followingCount;
+
+  // No follow/message buttons on my own profile or when I'm logged out.
+  document.getElementById("user-profile-actions").hidden =
+    p.isMe || !currentUsername;
+  document.getElementById("user-profile-follow-btn").textContent =
+    p.isFollowing ? "Unfollow" : "Follow";
+}
 
 /**
- * I load the current user's profile from GET /profile.
+ * I switch the list under the profile between posts, followers and following.
  */
-async function loadProfile() {
+function showProfileTab(tab) {
+  if (!viewedProfile) return;
+  const username = viewedProfile.username;
+
+  const postsEl = document.getElementById("user-profile-posts");
+  const peopleEl = document.getElementById("user-profile-people");
+  const albumsEl = document.getElementById("user-profile-albums");
+  const titles = {
+    posts: "Posts",
+    albums: "Albums",
+    followers: "Followers",
+    following: "Following",
+  };
+  document.getElementById("user-profile-list-title").textContent = titles[tab];
+
+  postsEl.hidden = tab !== "posts";
+  albumsEl.hidden = tab !== "albums";
+  peopleEl.hidden = tab !== "followers" && tab !== "following";
+  document.getElementById("user-profile-people-more").hidden = true;
+
+  if (tab === "albums") {
+    loadProfileAlbums();
+  } else if (tab === "posts") {
+    if (!profilePostsList) {
+      profilePostsList = createInfiniteList({
+        containerId: "user-profile-posts",
+        messagesId: "user-profile-list-messages",
+        fetchPage: (before) =>
+          api.get("/users/:username/posts", {
+            params: { username: viewedProfile.username },
+            query: { limit: PAGE_SIZE, before },
+          }),
+        emptyHtml: "<p>No posts yet.</p>",
+        errorText: "Something went wrong loading posts.",
+      });
+    }
+    profilePostsList.reset();
+  } else {
+    profilePeople = { username, direction: tab, nextCursor: null };
+    peopleEl.innerHTML = "";
+    loadProfilePeople();
+  }
+}
+
+/**
+ * I load the next page of followers/following for the open profile.
+ */
+async function loadProfilePeople() {
+  const state = profilePeople;
+  const listEl = document.getElementById("user-profile-people");
+  const moreBtn = document.getElementById("user-profile-people-more");
+
   try {
-    const response = await fetch(`${BASE_PATH}/profile`);
-    const data = await safeJson(response);
+    const route = `/users/:username/${state.direction}`;
+    const { ok, data, error } = await api.get(route, {
+      params: { username: state.username },
+      query: { limit: PAGE_SIZE, before: state.nextCursor },
+    });
+    if (state !== profilePeople) return; // I switched tabs meanwhile
 
-    if (!response.ok) {
+    if (!ok) {
       showMessage(
-        "profile-messages",
-        data.error || "Could not load profile.",
+        "user-profile-list-messages",
+        error || "Could not load the list.",
         true
       );
       return;
     }
 
-    // The backend returns the user object directly.
-    const u = data;
-
-    const usernameEl = document.getElementById("profile-username");
-    const displayNameEl = document.getElementById("profile-displayname");
-    const emailEl = document.getElementById("profile-email");
-    const bioEl = document.getElementById("profile-bio");
-    const locationEl = document.getElementById("profile-location");
-    const avatar = document.getElementById("profile-avatar");
-
-    if (usernameEl) usernameEl.textContent = u.username || "—";
-    if (displayNameEl) displayNameEl.textContent = u.displayName || "—";
-    if (emailEl) emailEl.textContent = u.email || "—";
-    if (bioEl) bioEl.textContent = u.bio || "—";
-    if (locationEl) locationEl.textContent = u.location || "—";
-
-    if (avatar) {
-      const firstLetter = (u.username || "?")[0].toUpperCase();
-      avatar.textContent = firstLetter;
+    const users = data.users || [];
+    if (!state.nextCursor && users.length === 0) {
+      listEl.innerHTML = "<li>Nobody here yet.</li>";
     }
 
-    // I also pre-fill the edit form with the current values
-    const editDisplayName = document.getElementById("edit-displayname");
-    const editEmail = document.getElementById("edit-email");
-    const editBio = document.getElementById("edit-bio");
-    const editLocation = document.getElementById("edit-location");
+    users.forEach((user) => {
+      const li = document.createElement("li");
+      li.appendChild(
+        buildProfileLink(
+          user.username,
+          user.displayName && user.displayName !== user.username
+            ? `${user.displayName} (@${user.username})`
+            : user.username
+        )
+      );
+      listEl.appendChild(li);
+    });
 
-    if (editDisplayName) editDisplayName.value = u.displayName || "";
-    if (editEmail) editEmail.value = u.email || "";
-    if (editBio) editBio.value = u.bio || "";
-    if (editLocation) editLocation.value = u.location || "";
+    state.nextCursor = data.nextCursor || null;
+    moreBtn.hidden = !state.nextCursor;
   } catch (err) {
-    console.error("Error loading profile:", err);
+    console.error("Error loading followers/following:", err);
     showMessage(
-      "profile-messages",
-      "Something went wrong loading profile.",
+      "user-profile-list-messages",
+      "Something went wrong loading the list.",
       true
     );
   }
 }
 
 /**
- * I set up the Edit Profile form and the Profile Picture upload form.
+ * I wire up the profile tabs and the Follow / Message buttons.
  */
-function setupProfileHandlers() {
-  const editForm = document.getElementById("profile-edit-form");
-  const pictureForm = document.getElementById("profile-picture-form");
+function setupUserProfileHandlers() {
+  document.querySelectorAll("[data-profile-tab]").forEach((btn) => {
+    btn.addEventListener("click", () => showProfileTab(btn.dataset.profileTab));
+  });
 
-  // --- Edit profile details ---
-  if (editForm) {
-    editForm.addEventListener("submit", async (event) => {
-      event.preventDefault();
+  const moreBtn = document.getElementById("user-profile-people-more");
+  if (moreBtn) moreBtn.addEventListener("click", loadProfilePeople);
 
-      const displayName = document
-        .getElementById("edit-displayname")
-        .value.trim();
-      const email = document.getElementById("edit-email").value.trim();
-      const bio = document.getElementById("edit-bio").value.trim();
-      const location = document.getElementById("edit-location").value.trim();
+  const followBtn = document.getElementById("user-profile-follow-btn");
+  if (followBtn) {
+    followBtn.addEventListener("click", async () => {
+      if (!viewedProfile) return;
+      const p = viewedProfile;
+
+      const ok = p.isFollowing
+        ? await unfollowUser(p.username, "user-profile-messages")
+        : await followUser(p.username, "user-profile-messages");
+      if (!ok) return;
+
+      p.isFollowing = !p.isFollowing;
+      p.followerCount += p.isFollowing ? 1 : -1;
+      renderUserProfile();
+    });
+  }
+
+  const messageBtn = document.getElementById("user-profile-message-btn");
+  if (messageBtn) {
+    messageBtn.addEventListener("click", () => {
+      if (!viewedProfile) return;
+      showSection("messages-section");
+      startConversationWith(viewedProfile.username);
+    });
+  }
+}
+
+// ----- Albums -----
+
+/**
+ * I list the viewed user's albums as tiles (cover photo, name, photo count).
+ */
+async function loadProfileAlbums() {
+  const albumsEl = document.getElementById("user-profile-albums");
+  const username = viewedProfile.username;
+  albumsEl.innerHTML = "<p>Loading albums...</p>";
+
+  try {
+    const { ok, data, error } = await api.get("/users/:username/albums", {
+      params: { username },
+    });
+    if (viewedProfile.username !== username) return;
+
+    if (!ok) {
+      albumsEl.innerHTML = "";
+      showMessage(
+        "user-profile-list-messages",
+        error || "Could not load albums.",
+        true
+      );
+      return;
+    }
+
+    albumsEl.innerHTML = "";
+    if (data.length === 0) {
+      albumsEl.innerHTML = "<p>No albums yet.</p>";
+      return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "album-grid";
+    data.forEach((album) => {
+      const tile = document.createElement("button");
+      tile.type = "button";
+      tile.className = "album-tile";
+
+      if (album.coverUrl) {
+        const cover = document.createElement("img");
+        cover.src = album.coverUrl;
+        cover.alt = "";
+        cover.loading = "lazy";
+        tile.appendChild(cover);
+      }
+
+      const name = document.createElement("strong");
+      name.textContent = album.name;
+      const count = document.createElement("span");
+      count.className = "post-meta";
+      count.textContent = `${album.itemCount} photos`;
+
+      tile.appendChild(name);
+      tile.appendChild(count);
+      tile.addEventListener("click", () => openAlbum(album._id));
+      grid.appendChild(tile);
+    });
+    albumsEl.appendChild(grid);
+  } catch (err) {
+    console.error("Error loading albums:", err);
+    showMessage(
+      "user-profile-list-messages",
+      "Something went wrong loading albums.",
+      true
+    );
+  }
+}
+
+/**
+ * I show one album's photos as a grid; a click opens the lightbox there.
+ * On my own albums I can remove photos or delete the whole album.
+ */
+async function openAlbum(albumId) {
+  const albumsEl = document.getElementById("user-profile-albums");
+
+  try {
+    const { ok, data: album, error } = await api.get("/albums/:albumId", {
+      params: { albumId },
+    });
+
+    if (!ok) {
+      showMessage(
+        "user-profile-list-messages",
+        error || "Could not load album.",
+        true
+      );
+      return;
+    }
+
+    const isMine = album.owner === currentUsername;
+    albumsEl.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "form-inline";
+
+    const backBtn = document.createElement("button");
+    backBtn.type = "button";
+    backBtn.className = "secondary-btn";
+    backBtn.textContent = "‹ All albums";
+    backBtn.addEventListener("click", loadProfileAlbums);
+
+    const title = document.createElement("strong");
+    title.textContent = album.name;
+
+    header.appendChild(backBtn);
+    header.appendChild(title);
+
+    if (isMine) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "secondary-btn";
+      deleteBtn.textContent = "Delete album";
+      deleteBtn.addEventListener("click", async () => {
+        if (!confirm(`Delete the album "${album.name}"? The posts stay.`)) {
+          return;
+        }
+        const ok = await sendAlbumRequest("DELETE", "/albums/:albumId", {
+          params: { albumId },
+        });
+        if (ok) loadProfileAlbums();
+      });
+      header.appendChild(deleteBtn);
+    }
+    albumsEl.appendChild(header);
+
+    if (album.description) {
+      const desc = document.createElement("p");
+      desc.textContent = album.description;
+      albumsEl.appendChild(desc);
+    }
+
+    if (album.items.length === 0) {
+      albumsEl.insertAdjacentHTML("beforeend", "<p>This album is empty.</p>");
+      return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "album-grid";
+    album.items.forEach((item, i) => {
+      const cell = document.createElement("div");
+      cell.className = "album-photo";
+
+      const img = document.createElement("img");
+      setResponsiveImage(img, item, "160px");
+      img.alt = item.alt || "Trip photo";
+      img.addEventListener("click", () => openLightbox(album.items, i));
+      cell.appendChild(img);
+
+      if (isMine) {
+        const removeBtn = document.createElement("button");
+        removeBtn.type = "button";
+        removeBtn.className = "secondary-btn";
+        removeBtn.textContent = "Remove";
+        removeBtn.addEventListener("click", async () => {
+          const ok = await sendAlbumRequest(
+            "DELETE",
+            "/albums/:albumId/items",
+            {
+              params: { albumId },
+              body: { contentId: item.contentId, url: item.url },
+            }
+          );
+          if (ok) openAlbum(albumId);
+        });
+        cell.appendChild(removeBtn);
+      }
+      grid.appendChild(cell);
+    });
+    albumsEl.appendChild(grid);
+  } catch (err) {
+    console.error("Error loading album:", err);
+    showMessage(
+      "user-profile-list-messages",
+      "Something went wrong loading the album.",
+      true
+    );
+  }
+}
+
+/**
+ * Small helper for the album calls: I send the request and alert on errors.
+ * Resolves to the response data, or null if it failed.
+ */
+async function sendAlbumRequest(method, route, options) {
+  try {
+    const { ok, data, error } = await apiRequest(method, route, options);
+
+    if (!ok) {
+      alert(error || "The album could not be changed.");
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error("Error changing album:", err);
+    alert("Something went wrong changing the album.");
+    return null;
+  }
+}
+
+/**
+ * I add one photo of my post to an album. I ask for the album's name and
+ * create the album first if I don't have one with that name yet.
+ */
+async function addPhotoToAlbum(contentId, url) {
+  const name = prompt("Add this photo to which album? (new names create one)");
+  if (!name || !name.trim()) return;
+
+  try {
+    const {
+      ok,
+      data: albums,
+      error,
+    } = await api.get("/users/:username/albums", {
+      params: { username: currentUsername },
+    });
+    if (!ok) {
+      alert(error || "Could not load my albums.");
+      return;
+    }
+
+    let album = albums.find((a) => a.name === name.trim());
+    if (!album) {
+      const created = await sendAlbumRequest("POST", "/albums", {
+        body: { name: name.trim() },
+      });
+      if (!created) return;
+      album = created.album;
+    }
+
+    const added = await sendAlbumRequest("POST", "/albums/:albumId/items", {
+      params: { albumId: album._id },
+      body: { contentId, url },
+    });
+    if (added) alert(`Added to "${album.name}".`);
+  } catch (err) {
+    console.error("Error adding photo to album:", err);
+    alert("Something went wrong adding the photo.");
+  }
+}
+
+// ===============================
+// 7. Search posts (back-end search)
+// ===============================
+
+/**
+ * I wire up the "Search posts" form so it calls GET /contents?q=...
+ */
+function setupContentSearchHandler() {
+  const form = document.getElementById("content-search-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const term = document.getElementById("content-search-term").value.trim();
+    await loadContentSearchResults(term, readContentSearchFilters());
+  });
+}
+
+/**
+ * I read the optional filters (hashtag, author, dates, sort, photo only)
+ * from the search form. Empty fields are left out.
+ */
+function readContentSearchFilters() {
+  const value = (id) => document.getElementById(id).value.trim();
+
+  const filters = {
+    tag: value("content-search-tag"),
+    author: value("content-search-author"),
+    from: value("content-search-from"),
+    to: value("content-search-to"),
+    sort: value("content-search-sort"),
+  };
+  if (document.getElementById("content-search-has-image").checked) {
+    filters.hasImage = "true";
+  }
+  return filters;
+}
+
+// Search results also scroll infinitely; the query is kept for the next pages.
+let contentSearchList = null;
+let currentContentSearchQuery = {};
+
+/**
+ * I ask the backend to search posts for me using the query parameter q
+ * plus any filters (see readContentSearchFilters).
+ */
+function loadContentSearchResults(term, filters = {}) {
+  currentContentSearchQuery = { q: term, ...filters };
+
+  if (!contentSearchList) {
+    contentSearchList = createInfiniteList({
+      containerId: "content-search-results",
+      messagesId: "content-search-messages",
+      fetchPage: (before) =>
+        api.get("/contents", {
+          query: { ...currentContentSearchQuery, limit: PAGE_SIZE, before },
+        }),
+      emptyHtml: "<p>No matching posts found.</p>",
+      errorText: "Something went wrong with search.",
+    });
+  }
+  // Here I show the same kind of card as in the feed,
+  // including likes and comments, so the site feels consistent.
+  return contentSearchList.reset();
+}
+
+// The hashtag timeline reuses the infinite list; the tag is kept for paging.
+let tagList = null;
+let currentTag = "";
+
+/**
+ * I open the timeline for one hashtag (GET /tags/:tag).
+ */
+function openTagTimeline(tag) {
+  currentTag = tag.toLowerCase();
+  document.getElementById("tag-title").textContent = `#${currentTag}`;
+  showSection("tag-section");
+
+  if (!tagList) {
+    tagList = createInfiniteList({
+      containerId: "tag-contents",
+      messagesId: "tag-messages",
+      fetchPage: (before) =>
+        api.get("/tags/:tag", {
+          params: { tag: currentTag },
+          query: { limit: PAGE_SIZE, before },
+        }),
+      emptyHtml: "<p>No posts with this tag yet.</p>",
+      errorText: "Something went wrong loading this tag.",
+    });
+  }
+  return tagList.reset();
+}
+
+// The place timeline works the same way; "nearby" switches it to every
+// post within PLACE_NEARBY_KM of the city (GET /contents/near).
+const PLACE_NEARBY_KM = 25;
+let placeList = null;
+let currentPlace = null; // { name, country, slug, lat, lng }
+let placeShowsNearby = false;
+
+function buildPlaceLink(place) {
+  const link = document.createElement("a");
+  link.href = "#";
+  link.className = "place-link";
+  link.textContent = `📍 ${place.name}, ${place.country}`;
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    openPlaceTimeline(place);
+  });
+  return link;
+}
+
+/**
+ * I open the posts for one place (GET /places/:place/posts).
+ */
+function openPlaceTimeline(place, nearby = false) {
+  currentPlace = place;
+  placeShowsNearby = nearby;
+  document.getElementById("place-title").textContent =
+    `📍 ${place.name}, ${place.country}`;
+  document.getElementById("place-nearby-toggle").textContent = nearby
+    ? `Only posts tagged ${place.name}`
+    : `All posts within ${PLACE_NEARBY_KM} km`;
+  showSection("place-section");
+
+  if (!placeList) {
+    placeList = createInfiniteList({
+      containerId: "place-contents",
+      messagesId: "place-messages",
+      fetchPage: (before) =>
+        placeShowsNearby
+          ? api.get("/contents/near", {
+              query: {
+                lat: currentPlace.lat,
+                lng: currentPlace.lng,
+                radiusKm: PLACE_NEARBY_KM,
+                limit: PAGE_SIZE,
+                before,
+              },
+            })
+          : api.get("/places/:place/posts", {
+              params: { place: currentPlace.slug },
+              query: { limit: PAGE_SIZE, before },
+            }),
+      emptyHtml: "<p>No posts from here yet.</p>",
+      errorText: "Something went wrong loading this place.",
+    });
+  }
+  return placeList.reset();
+}
+
+function setupPlaceHandlers() {
+  const toggle = document.getElementById("place-nearby-toggle");
+  if (!toggle) return;
+  toggle.addEventListener("click", () => {
+    if (currentPlace) openPlaceTimeline(currentPlace, !placeShowsNearby);
+  });
+}
+
+/**
+ * I load the trending tags for the chosen window (GET /trending).
+ */
+async function loadTrendingTags() {
+  const listEl = document.getElementById("trending-tags");
+  const windowSelect = document.getElementById("trending-window");
+  if (!listEl || !windowSelect) return;
+
+  try {
+    const { ok, data } = await api.get("/trending", {
+      query: { window: windowSelect.value },
+    });
+
+    if (!ok) {
+      listEl.innerHTML = "<li>Could not load trending tags.</li>";
+      return;
+    }
+
+    const tags = data.tags || [];
+    if (tags.length === 0) {
+      listEl.innerHTML = "<li>Nothing is trending yet.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    tags.forEach((t) => {
+      const li = document.createElement("li");
+      li.appendChild(buildTagLink(t.tag));
+
+      const count = document.createElement("span");
+      count.className = "post-meta";
+      count.textContent = t.posts === 1 ? " 1 post" : ` ${t.posts} posts`;
+      li.appendChild(count);
+
+      listEl.appendChild(li);
+    });
+  } catch (err) {
+    console.error("Error loading trending tags:", err);
+    listEl.innerHTML = "<li>Something went wrong loading trending tags.</li>";
+  }
+}
+
+/**
+ * I reload the trending list when the time window changes.
+ */
+function setupTrendingHandler() {
+  const windowSelect = document.getElementById("trending-window");
+  if (!windowSelect) return;
+  windowSelect.addEventListener("change", loadTrendingTags);
+}
+
+// ===============================
+// 8. Profile view, edit and picture upload
+// ===============================
+
+/**
+ * I load the current user's profile from GET /profile.
+ */
+async function loadProfile() {
+  try {
+    const { ok, data, error } = await api.get("/profile");
+
+    if (!ok) {
+      showMessage(
+        "profile-messages",
+        error || "Could not load profile.",
+        true
+      );
+      return;
+    }
+
+    // The backend returns the user object directly.
+    const u = data;
+
+    const usernameEl = document.getElementById("profile-username");
+    const displayNameEl = document.getElementById("profile-displayname");
+    const emailEl = document.getElementById("profile-email");
+    const bioEl = document.getElementById("profile-bio");
+    const locationEl = document.getElementById("profile-location");
+    const avatar = document.getElementById("profile-avatar");
+
+    if (usernameEl) usernameEl.textContent = u.username || "—";
+    if (displayNameEl) displayNameEl.textContent = u.displayName || "—";
+    if (emailEl) emailEl.textContent = u.email || "—";
+    if (bioEl) bioEl.textContent = u.bio || "—";
+    if (locationEl) locationEl.textContent = u.location || "—";
+    renderEmailStatus(u);
+
+    if (avatar) {
+      renderAvatar(avatar, u);
+    }
+
+    // I also pre-fill the edit form with the current values
+    const editDisplayName = document.getElementById("edit-displayname");
+    const editEmail = document.getElementById("edit-email");
+    const editBio = document.getElementById("edit-bio");
+    const editLocation = document.getElementById("edit-location");
+
+    if (editDisplayName) editDisplayName.value = u.displayName || "";
+    if (editEmail) editEmail.value = u.email || "";
+    if (editBio) editBio.value = u.bio || "";
+    if (editLocation) editLocation.value = u.location || "";
+  } catch (err) {
+    console.error("Error loading profile:", err);
+    showMessage(
+      "profile-messages",
+      "Something went wrong loading profile.",
+      true
+    );
+  }
+}
+
+/**
+ * I show whether my email address is verified, with a button to get the
+ * verification email again if it isn't.
+ */
+function renderEmailStatus(u) {
+  const statusEl = document.getElementById("profile-email-status");
+  const resendBtn = document.getElementById("resend-verification-button");
+  if (!statusEl || !resendBtn) return;
+
+  statusEl.textContent = u.emailVerified ? "✅ verified" : "⚠️ not verified";
+  resendBtn.hidden = Boolean(u.emailVerified);
+}
+
+/**
+ * I set up the Edit Profile form, the Profile Picture upload form and the
+ * "Resend verification email" button.
+ */
+function setupProfileHandlers() {
+  const editForm = document.getElementById("profile-edit-form");
+  const pictureForm = document.getElementById("profile-picture-form");
+  const resendBtn = document.getElementById("resend-verification-button");
+
+  // --- Resend the verification email ---
+  if (resendBtn) {
+    resendBtn.addEventListener("click", async () => {
+      try {
+        const { ok, data, error } = await api.post("/email-verification");
+        showMessage(
+          "profile-messages",
+          ok ? data.message : error || "Could not send the email.",
+          !ok
+        );
+      } catch (err) {
+        console.error("Error resending verification email:", err);
+        showMessage(
+          "profile-messages",
+          "Something went wrong sending the email.",
+          true
+        );
+      }
+    });
+  }
+
+  // --- Edit profile details ---
+  if (editForm) {
+    editForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      const displayName = document
+        .getElementById("edit-displayname")
+        .value.trim();
+      const email = document.getElementById("edit-email").value.trim();
+      const bio = document.getElementById("edit-bio").value.trim();
+      const location = document.getElementById("edit-location").value.trim();
 
       // I only send values that the user has actually entered.
       const body = {};
@@ -959,221 +2534,1401 @@ function setupProfileHandlers() {
       if (bio || bio === "") body.bio = bio;
       if (location || location === "") body.location = location;
 
-      try {
-        const response = await fetch(`${BASE_PATH}/profile`, {
-          method: "PATCH",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(body),
-        });
+      try {
+        const { ok, error } = await api.put("/profile", { body });
+
+        if (!ok) {
+          showMessage(
+            "profile-messages",
+            error || "Profile update failed.",
+            true
+          );
+          return;
+        }
+
+        showMessage(
+          "profile-messages",
+          "Profile updated successfully.",
+          false
+        );
+
+        // After updating I refresh the profile display.
+        loadProfile();
+      } catch (err) {
+        console.error("Error updating profile:", err);
+        showMessage(
+          "profile-messages",
+          "Something went wrong updating profile.",
+          true
+        );
+      }
+    });
+  }
+
+  // --- Profile picture upload ---
+  if (pictureForm) {
+    pictureForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      const fileInput = document.getElementById("profile-picture-input");
+      if (!fileInput.files || fileInput.files.length === 0) {
+        showMessage(
+          "profile-messages",
+          "I must choose a picture file first.",
+          true
+        );
+        return;
+      }
+
+      const formData = new FormData();
+      formData.append("file", fileInput.files[0]);
+
+      try {
+        const { ok, data, error } = await api.post("/profile-picture", {
+          body: formData,
+        });
+
+        if (!ok) {
+          showMessage(
+            "profile-messages",
+            error || "Profile picture upload failed.",
+            true
+          );
+          return;
+        }
+
+        showMessage(
+          "profile-messages",
+          "Profile picture updated successfully.",
+          false
+        );
+
+        // The backend gives me the new URLs straight away
+        const avatar = document.getElementById("profile-avatar");
+        if (avatar) {
+          renderAvatar(avatar, {
+            username: currentUsername,
+            profileImageUrl: data.profileImageUrl,
+          });
+        }
+        fileInput.value = "";
+        loadProfile();
+      } catch (err) {
+        console.error("Error uploading profile picture:", err);
+        showMessage(
+          "profile-messages",
+          "Something went wrong uploading picture.",
+          true
+        );
+      }
+    });
+  }
+}
+
+// ===============================
+// 9. Friend requests + friends list
+// ===============================
+
+/**
+ * I set up the Friend Request form.
+ */
+function setupFriendRequestHandlers() {
+  const form = document.getElementById("friend-request-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const username = document
+      .getElementById("friend-request-username")
+      .value.trim();
+
+    if (!username) return;
+
+    try {
+      const { ok, data, error } = await api.post("/friend-requests", {
+        body: { toUsername: username },
+      });
+
+      if (!ok) {
+        alert(error || "Friend request failed.");
+        return;
+      }
+
+      // If they had already asked me, the server accepts their request instead.
+      if (data.request && data.request.status === "accepted") {
+        alert(`You are now friends with ${username}.`);
+      } else {
+        alert(`Friend request sent to ${username}.`);
+      }
+      form.reset();
+      loadFriendsSection();
+    } catch (err) {
+      console.error("Error sending friend request:", err);
+      alert("Something went wrong sending friend request.");
+    }
+  });
+}
+
+/**
+ * I refresh everything in the Friends section.
+ */
+function loadFriendsSection() {
+  loadIncomingFriendRequests();
+  loadOutgoingFriendRequests();
+  loadFriends();
+}
+
+/**
+ * I load incoming friend requests from GET /friend-requests
+ * and show them with "Accept" and "Decline" buttons.
+ */
+async function loadIncomingFriendRequests() {
+  const listEl = document.getElementById("incoming-friend-requests");
+  if (!listEl) return;
+
+  listEl.innerHTML = "<li>Loading...</li>";
+
+  try {
+    const { ok, data } = await api.get("/friend-requests", {
+      query: { direction: "incoming" },
+    });
+
+    if (!ok) {
+      listEl.innerHTML =
+        "<li>Could not load friend requests.</li>";
+      return;
+    }
+
+    const requests = Array.isArray(data) ? data : data.requests || [];
+
+    if (requests.length === 0) {
+      listEl.innerHTML = "<li>No incoming friend requests.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    requests.forEach((req) => {
+      const li = document.createElement("li");
+      li.textContent = `From ${req.fromUsername}`;
+
+      const buttons = document.createElement("span");
+
+      const acceptBtn = document.createElement("button");
+      acceptBtn.className = "secondary-btn";
+      acceptBtn.textContent = "Accept";
+      acceptBtn.style.marginLeft = "0.5rem";
+      acceptBtn.addEventListener("click", () => {
+        handleFriendRequest(
+          req._id,
+          "accept",
+          `You are now friends with ${req.fromUsername}.`
+        );
+      });
+
+      const declineBtn = document.createElement("button");
+      declineBtn.className = "secondary-btn";
+      declineBtn.textContent = "Decline";
+      declineBtn.style.marginLeft = "0.5rem";
+      declineBtn.addEventListener("click", () => {
+        handleFriendRequest(req._id, "decline", "Friend request declined.");
+      });
+
+      buttons.appendChild(acceptBtn);
+      buttons.appendChild(declineBtn);
+      li.appendChild(buttons);
+      listEl.appendChild(li);
+    });
+  } catch (err) {
+    console.error("Error loading friend requests:", err);
+    listEl.innerHTML =
+      "<li>Something went wrong loading friend requests.</li>";
+  }
+}
+
+/**
+ * I load the requests I have sent that are still waiting, with "Cancel" buttons.
+ */
+async function loadOutgoingFriendRequests() {
+  const listEl = document.getElementById("outgoing-friend-requests");
+  if (!listEl) return;
+
+  listEl.innerHTML = "<li>Loading...</li>";
+
+  try {
+    const { ok, data } = await api.get("/friend-requests", {
+      query: { direction: "outgoing" },
+    });
+
+    if (!ok) {
+      listEl.innerHTML = "<li>Could not load sent requests.</li>";
+      return;
+    }
+
+    const requests = Array.isArray(data) ? data : data.requests || [];
+
+    if (requests.length === 0) {
+      listEl.innerHTML = "<li>No pending sent requests.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    requests.forEach((req) => {
+      const li = document.createElement("li");
+      li.textContent = `To ${req.toUsername} • ${formatDate(req.createdAt)}`;
+
+      const cancelBtn = document.createElement("button");
+      cancelBtn.className = "secondary-btn";
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.addEventListener("click", () => {
+        handleFriendRequest(req._id, "cancel", "Friend request cancelled.");
+      });
+
+      li.appendChild(cancelBtn);
+      listEl.appendChild(li);
+    });
+  } catch (err) {
+    console.error("Error loading sent friend requests:", err);
+    listEl.innerHTML =
+      "<li>Something went wrong loading sent requests.</li>";
+  }
+}
+
+/**
+ * I accept, decline or cancel a friend request by its id
+ * (POST /friend-requests/:id/accept|decline|cancel).
+ */
+async function handleFriendRequest(requestId, action, successText) {
+  try {
+    const { ok, error } = await api.post(`/friend-requests/:id/${action}`, {
+      params: { id: requestId },
+    });
+
+    if (!ok) {
+      alert(error || `Could not ${action} friend request.`);
+      return;
+    }
+
+    alert(successText);
+    loadFriendsSection();
+  } catch (err) {
+    console.error(`Error trying to ${action} friend request:`, err);
+    alert("Something went wrong with the friend request.");
+  }
+}
+
+/**
+ * I load my friends from GET /friends, each with an "Unfriend" button.
+ */
+async function loadFriends() {
+  const listEl = document.getElementById("friends-list");
+  if (!listEl) return;
+
+  listEl.innerHTML = "<li>Loading...</li>";
+
+  try {
+    const { ok, data } = await api.get("/friends");
+
+    if (!ok) {
+      listEl.innerHTML = "<li>Could not load friends.</li>";
+      return;
+    }
+
+    const friends = Array.isArray(data) ? data : data.friends || [];
+
+    if (friends.length === 0) {
+      listEl.innerHTML = "<li>No friends yet.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    friends.forEach((friend) => {
+      const li = document.createElement("li");
+
+      const infoSpan = document.createElement("span");
+      infoSpan.textContent =
+        friend.displayName && friend.displayName !== friend.username
+          ? `${friend.displayName} (@${friend.username})`
+          : friend.username;
+      li.appendChild(infoSpan);
+
+      const unfriendBtn = document.createElement("button");
+      unfriendBtn.className = "secondary-btn";
+      unfriendBtn.textContent = "Unfriend";
+      unfriendBtn.addEventListener("click", () => {
+        unfriend(friend.username);
+      });
+
+      li.appendChild(unfriendBtn);
+      listEl.appendChild(li);
+    });
+  } catch (err) {
+    console.error("Error loading friends:", err);
+    listEl.innerHTML = "<li>Something went wrong loading friends.</li>";
+  }
+}
+
+/**
+ * I end a friendship with DELETE /friends/:username.
+ * The server also removes the follows that were created when we became friends.
+ */
+async function unfriend(username) {
+  if (!confirm(`Remove ${username} from your friends?`)) return;
+
+  try {
+    const { ok, error } = await api.delete("/friends/:username", {
+      params: { username },
+    });
+
+    if (!ok) {
+      alert(error || "Could not unfriend user.");
+      return;
+    }
+
+    alert(`You are no longer friends with ${username}.`);
+    loadFriends();
+  } catch (err) {
+    console.error("Error unfriending user:", err);
+    alert("Something went wrong unfriending user.");
+  }
+}
+
+// ===============================
+// 10. Notifications (bell in the top bar)
+// ===============================
+
+// I check the unread count every 30 seconds while I'm logged in.
+const NOTIFICATION_POLL_MS = 30000;
+let notificationTimer = null;
+
+/**
+ * I describe a notification in one short sentence.
+ */
+function describeNotification(n) {
+  switch (n.type) {
+    case "like":
+      return `${n.actorUsername} liked your post.`;
+    case "comment":
+      return `${n.actorUsername} commented on your post.`;
+    case "follow":
+      return `${n.actorUsername} started following you.`;
+    case "friendRequest":
+      return `${n.actorUsername} sent you a friend request.`;
+    case "mention":
+      return n.commentId
+        ? `${n.actorUsername} mentioned you in a comment.`
+        : `${n.actorUsername} mentioned you in a post.`;
+    case "tripInvite":
+      return `${n.actorUsername} invited you to plan a trip.`;
+    default:
+      return `New activity from ${n.actorUsername}.`;
+  }
+}
+
+/**
+ * I show the unread count on the bell (or hide the badge when it is 0).
+ */
+function setNotificationBadge(count) {
+  const badge = document.getElementById("notifications-badge");
+  if (!badge) return;
+  badge.textContent = count > 99 ? "99+" : String(count);
+  badge.hidden = !count;
+}
+
+/**
+ * I load my latest notifications from GET /notifications and fill the dropdown.
+ */
+async function loadNotifications() {
+  const listEl = document.getElementById("notifications-list");
+  if (!listEl) return;
+
+  try {
+    const { ok, data } = await api.get("/notifications", {
+      query: { limit: PAGE_SIZE },
+    });
+
+    if (!ok) {
+      listEl.innerHTML = "<li>Could not load notifications.</li>";
+      return;
+    }
+
+    setNotificationBadge(data.unreadCount || 0);
+
+    const notifications = data.notifications || [];
+    if (notifications.length === 0) {
+      listEl.innerHTML = "<li>No notifications yet.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    notifications.forEach((n) => {
+      const li = document.createElement("li");
+      li.className = n.read ? "notification" : "notification unread";
+
+      const text = document.createElement("div");
+      text.textContent = describeNotification(n);
+      li.appendChild(text);
+
+      const meta = document.createElement("div");
+      meta.className = "post-meta";
+      meta.textContent = formatDate(n.createdAt);
+      li.appendChild(meta);
+
+      li.addEventListener("click", () => {
+        if (!n.read) markNotificationRead(n._id, li);
+        if (n.type === "friendRequest") {
+          showSection("friends-section");
+          loadFriendsSection();
+        } else if (n.type === "tripInvite") {
+          showSection("trips-section");
+          loadTrips();
+          openTrip(n.tripId);
+        }
+      });
+
+      listEl.appendChild(li);
+    });
+  } catch (err) {
+    console.error("Error loading notifications:", err);
+    listEl.innerHTML = "<li>Something went wrong loading notifications.</li>";
+  }
+}
+
+/**
+ * I mark a single notification as read.
+ */
+async function markNotificationRead(notificationId, listItem) {
+  try {
+    const { ok, data, error } = await api.post("/notifications/:id/read", {
+      params: { id: notificationId },
+    });
+
+    if (!ok) {
+      console.error("Error marking notification read:", error);
+      return;
+    }
+
+    if (listItem) listItem.classList.remove("unread");
+    setNotificationBadge(data.unreadCount || 0);
+  } catch (err) {
+    console.error("Error marking notification read:", err);
+  }
+}
+
+/**
+ * I mark every notification as read.
+ */
+async function markAllNotificationsRead() {
+  try {
+    const { ok, error } = await api.post("/notifications/read-all");
+
+    if (!ok) {
+      console.error("Error marking notifications read:", error);
+      return;
+    }
+
+    setNotificationBadge(0);
+    document
+      .querySelectorAll("#notifications-list .unread")
+      .forEach((li) => li.classList.remove("unread"));
+  } catch (err) {
+    console.error("Error marking notifications read:", err);
+  }
+}
+
+/**
+ * I show the bell and start polling after login.
+ */
+function startNotifications() {
+  const panel = document.getElementById("notifications-panel");
+  if (panel) panel.hidden = false;
+
+  loadNotifications();
+  if (!notificationTimer) {
+    notificationTimer = setInterval(loadNotifications, NOTIFICATION_POLL_MS);
+  }
+}
+
+/**
+ * I hide the bell and stop polling after logout.
+ */
+function stopNotifications() {
+  clearInterval(notificationTimer);
+  notificationTimer = null;
+
+  const panel = document.getElementById("notifications-panel");
+  const dropdown = document.getElementById("notifications-dropdown");
+  if (panel) panel.hidden = true;
+  if (dropdown) dropdown.hidden = true;
+  setNotificationBadge(0);
+}
+
+/**
+ * I wire up the bell (open/close the dropdown) and the "Mark all read" button.
+ */
+function setupNotificationHandlers() {
+  const button = document.getElementById("notifications-button");
+  const dropdown = document.getElementById("notifications-dropdown");
+  const markAllBtn = document.getElementById("notifications-mark-all");
+  if (!button || !dropdown) return;
+
+  button.addEventListener("click", (event) => {
+    event.stopPropagation();
+    dropdown.hidden = !dropdown.hidden;
+    if (!dropdown.hidden) loadNotifications();
+  });
+
+  // Clicking anywhere else closes the dropdown.
+  document.addEventListener("click", (event) => {
+    if (!dropdown.hidden && !dropdown.contains(event.target)) {
+      dropdown.hidden = true;
+    }
+  });
+
+  if (markAllBtn) {
+    markAllBtn.addEventListener("click", markAllNotificationsRead);
+  }
+}
+
+// ===============================
+// 11. Live updates (Server-Sent Events)
+// ===============================
+
+// My open GET /events stream, and the id the server gave it.
+let liveSource = null;
+let liveConnectionId = null;
+let liveReconnectTimer = null;
+let liveReconnectDelay = 1000;
+let watchListTimer = null;
+
+/**
+ * I open the event stream after login.
+ * EventSource retries by itself after a dropped connection, but gives up for
+ * good on an HTTP error, so in that case I reconnect myself with a back-off.
+ */
+function startLiveUpdates() {
+  if (liveSource || typeof EventSource === "undefined") return;
+
+  liveSource = new EventSource(api.url("/events"));
+
+  liveSource.addEventListener("ready", (event) => {
+    liveConnectionId = JSON.parse(event.data).connectionId;
+    liveReconnectDelay = 1000;
+    scheduleWatchListUpdate();
+  });
+
+  liveSource.addEventListener("post", (event) => {
+    mergeLivePost(JSON.parse(event.data));
+  });
+
+  liveSource.addEventListener("comment", (event) => {
+    mergeLiveComment(JSON.parse(event.data));
+  });
+
+  liveSource.addEventListener("likes", (event) => {
+    const { contentId, count } = JSON.parse(event.data);
+    document
+      .querySelectorAll(`.post[data-post-id="${contentId}"] .post-like-count`)
+      .forEach((span) => {
+        span.textContent = formatLikeCount(count);
+      });
+  });
+
+  liveSource.addEventListener("message", (event) => {
+    mergeLiveMessage(JSON.parse(event.data));
+  });
+
+  liveSource.addEventListener("error", () => {
+    // The id belongs to the old connection; a reconnect sends a new "ready".
+    liveConnectionId = null;
+
+    if (liveSource && liveSource.readyState === EventSource.CLOSED) {
+      liveSource = null;
+      liveReconnectTimer = setTimeout(() => {
+        liveReconnectTimer = null;
+        if (currentUsername) startLiveUpdates();
+      }, liveReconnectDelay);
+      liveReconnectDelay = Math.min(liveReconnectDelay * 2, 30000);
+    }
+  });
+}
+
+/**
+ * I close the event stream after logout.
+ */
+function stopLiveUpdates() {
+  clearTimeout(liveReconnectTimer);
+  liveReconnectTimer = null;
+  clearTimeout(watchListTimer);
+  watchListTimer = null;
+
+  if (liveSource) liveSource.close();
+  liveSource = null;
+  liveConnectionId = null;
+  liveReconnectDelay = 1000;
+}
+
+/**
+ * I tell the server (shortly after the lists change) which posts are on my
+ * page, so it only sends me comments and like counts for those.
+ */
+function scheduleWatchListUpdate() {
+  clearTimeout(watchListTimer);
+  watchListTimer = setTimeout(sendWatchList, 500);
+}
+
+async function sendWatchList() {
+  watchListTimer = null;
+  if (!liveConnectionId) return;
+
+  const contentIds = [
+    ...new Set(
+      [...document.querySelectorAll(".post[data-post-id]")].map(
+        (el) => el.dataset.postId
+      )
+    ),
+  ];
+
+  try {
+    await api.put("/events/:connectionId/watching", {
+      params: { connectionId: liveConnectionId },
+      body: { contentIds },
+    });
+  } catch (err) {
+    console.error("Error updating live watch list:", err);
+  }
+}
+
+/**
+ * A followed user posted: I put the new post at the top of my feed.
+ */
+function mergeLivePost(item) {
+  const container = document.getElementById("feed-contents");
+  if (!container) return;
+  if (container.querySelector(`.post[data-post-id="${item._id}"]`)) return;
+
+  // The "No posts in your feed yet" placeholder has to go.
+  if (!container.querySelector(".post")) container.innerHTML = "";
+
+  container.prepend(buildPostElement(item, true));
+  scheduleWatchListUpdate();
+}
+
+/**
+ * Someone commented on a post I'm viewing: I append it to every open
+ * comment list for that post (the same post can be in the feed and in search).
+ */
+function mergeLiveComment(comment) {
+  document
+    .querySelectorAll(`.post[data-post-id="${comment.contentId}"] .comments-list`)
+    .forEach((list) => {
+      if (list.dataset.loaded !== "true") return;
+      if (list.querySelector(`[data-comment-id="${comment._id}"]`)) return;
+
+      // The "No comments yet." text has to go.
+      if (!list.querySelector(".comment")) list.innerHTML = "";
+
+      list.appendChild(buildCommentElement(comment));
+    });
+}
+
+// ===============================
+// 12. Direct messages
+// ===============================
+
+// The thread currently open on the right-hand side (or null).
+let openThread = null; // { id, otherUsername, nextCursor }
+
+/**
+ * I set up the "start a conversation", "send" and "load older" controls.
+ */
+function setupMessageHandlers() {
+  const startForm = document.getElementById("start-conversation-form");
+  const sendForm = document.getElementById("send-message-form");
+  const olderBtn = document.getElementById("thread-load-older");
+
+  if (startForm) {
+    startForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const username = document
+        .getElementById("start-conversation-username")
+        .value.trim();
+      if (!username) return;
+
+      const started = await startConversationWith(username);
+      if (started) startForm.reset();
+    });
+  }
+
+  if (sendForm) {
+    sendForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const input = document.getElementById("send-message-text");
+      const text = input.value.trim();
+      if (!text || !openThread) return;
+
+      const sent = await sendDirectMessage(openThread.id, text);
+      if (sent) input.value = "";
+    });
+  }
+
+  if (olderBtn) {
+    olderBtn.addEventListener("click", () => loadThreadPage(true));
+  }
+}
+
+/**
+ * I start (or reopen) a conversation with POST /conversations and open it.
+ */
+async function startConversationWith(username) {
+  try {
+    const { ok, data, error } = await api.post("/conversations", {
+      body: { username },
+    });
+
+    if (!ok) {
+      showMessage(
+        "conversation-messages",
+        error || "Could not start conversation.",
+        true
+      );
+      return false;
+    }
+
+    showMessage("conversation-messages", "");
+    await loadConversations();
+    openConversation(data.conversation._id, username);
+    return true;
+  } catch (err) {
+    console.error("Error starting conversation:", err);
+    showMessage(
+      "conversation-messages",
+      "Something went wrong starting the conversation.",
+      true
+    );
+    return false;
+  }
+}
+
+/**
+ * I load my conversations (latest activity first) with their unread counts.
+ */
+async function loadConversations() {
+  const listEl = document.getElementById("conversation-list");
+  if (!listEl) return;
+
+  try {
+    const { ok, data } = await api.get("/conversations");
+
+    if (!ok) {
+      listEl.innerHTML = "<li>Could not load conversations.</li>";
+      return;
+    }
+
+    const conversations = data.conversations || [];
+
+    if (conversations.length === 0) {
+      listEl.innerHTML = "<li>No conversations yet.</li>";
+      return;
+    }
+
+    listEl.innerHTML = "";
+    conversations.forEach((c) => {
+      const li = document.createElement("li");
+      if (openThread && openThread.id === c._id) li.classList.add("active");
 
-        const data = await safeJson(response);
+      const info = document.createElement("div");
 
-        if (!response.ok) {
-          showMessage(
-            "profile-messages",
-            data.error || "Profile update failed.",
-            true
-          );
-          return;
-        }
+      const name = document.createElement("strong");
+      name.textContent = c.otherUsername;
+      info.appendChild(name);
 
-        showMessage(
-          "profile-messages",
-          "Profile updated successfully.",
-          false
-        );
+      const preview = document.createElement("div");
+      preview.className = "post-meta";
+      preview.textContent = c.lastMessage
+        ? `${c.lastMessage.senderUsername}: ${c.lastMessage.text}`
+        : "No messages yet";
+      info.appendChild(preview);
 
-        // After updating I refresh the profile display.
-        loadProfile();
-      } catch (err) {
-        console.error("Error updating profile:", err);
-        showMessage(
-          "profile-messages",
-          "Something went wrong updating profile.",
-          true
-        );
+      li.appendChild(info);
+
+      if (c.unreadCount > 0) {
+        const badge = document.createElement("span");
+        badge.className = "unread-badge";
+        badge.textContent = c.unreadCount;
+        li.appendChild(badge);
       }
+
+      li.addEventListener("click", () => {
+        openConversation(c._id, c.otherUsername);
+      });
+
+      listEl.appendChild(li);
     });
+  } catch (err) {
+    console.error("Error loading conversations:", err);
+    listEl.innerHTML = "<li>Something went wrong loading conversations.</li>";
   }
+}
 
-  // --- Profile picture upload ---
-  if (pictureForm) {
-    pictureForm.addEventListener("submit", async (event) => {
-      event.preventDefault();
+/**
+ * I open a thread on the right and load its latest messages.
+ */
+function openConversation(conversationId, otherUsername) {
+  openThread = { id: conversationId, otherUsername, nextCursor: null };
 
-      const fileInput = document.getElementById("profile-picture-input");
-      if (!fileInput.files || fileInput.files.length === 0) {
-        showMessage(
-          "profile-messages",
-          "I must choose a picture file first.",
-          true
-        );
-        return;
-      }
+  document.getElementById("thread-title").textContent =
+    `Conversation with ${otherUsername}`;
+  document.getElementById("send-message-form").hidden = false;
+  document.getElementById("thread-messages").innerHTML = "";
 
-      const formData = new FormData();
-      formData.append("file", fileInput.files[0]);
+  loadThreadPage(false).then(loadConversations);
+}
 
-      try {
-        const response = await fetch(`${BASE_PATH}/profile-picture`, {
-          method: "POST",
-          body: formData,
-        });
+/**
+ * I load one page of the open thread. The server returns newest first,
+ * so I reverse each page and either fill the list or prepend older messages.
+ */
+async function loadThreadPage(older) {
+  if (!openThread) return;
+  const thread = openThread;
+  const container = document.getElementById("thread-messages");
+  const olderBtn = document.getElementById("thread-load-older");
 
-        const data = await safeJson(response);
+  try {
+    const { ok, data, error } = await api.get("/conversations/:id/messages", {
+      params: { id: thread.id },
+      query: { limit: 20, before: older ? thread.nextCursor : null },
+    });
+    if (thread !== openThread) return; // I switched threads meanwhile
 
-        if (!response.ok) {
-          showMessage(
-            "profile-messages",
-            data.error || "Profile picture upload failed.",
-            true
-          );
-          return;
-        }
+    if (!ok) {
+      container.textContent = error || "Could not load messages.";
+      return;
+    }
 
-        showMessage(
-          "profile-messages",
-          "Profile picture updated successfully.",
-          false
-        );
+    thread.nextCursor = data.nextCursor || null;
+    olderBtn.hidden = !thread.nextCursor;
 
-        // I could update the avatar here if the backend stores the URL,
-        // but for now I just reload the profile.
-        loadProfile();
-      } catch (err) {
-        console.error("Error uploading profile picture:", err);
-        showMessage(
-          "profile-messages",
-          "Something went wrong uploading picture.",
-          true
-        );
-      }
+    const messages = (data.messages || []).slice().reverse();
+    const fragment = document.createDocumentFragment();
+    messages.forEach((m) => fragment.appendChild(buildMessageElement(m)));
+
+    if (older) {
+      container.prepend(fragment);
+    } else {
+      container.innerHTML = "";
+      container.appendChild(fragment);
+      container.scrollTop = container.scrollHeight;
+    }
+  } catch (err) {
+    console.error("Error loading messages:", err);
+    container.textContent = "Something went wrong loading messages.";
+  }
+}
+
+/**
+ * I create the DOM for one direct message (mine are aligned right).
+ */
+function buildMessageElement(message) {
+  const div = document.createElement("div");
+  div.className =
+    message.senderUsername === currentUsername
+      ? "direct-message mine"
+      : "direct-message";
+  div.dataset.messageId = message._id;
+
+  const meta = document.createElement("div");
+  meta.className = "post-meta";
+  meta.textContent = `${message.senderUsername} • ${formatDate(message.createdAt)}`;
+  div.appendChild(meta);
+
+  const text = document.createElement("div");
+  text.textContent = message.text || "";
+  div.appendChild(text);
+
+  return div;
+}
+
+/**
+ * I send a message into a conversation. The live "message" event adds it
+ * to the thread, but I add it here too in case the stream is down.
+ */
+async function sendDirectMessage(conversationId, text) {
+  try {
+    const { ok, data, error } = await api.post("/conversations/:id/messages", {
+      params: { id: conversationId },
+      body: { text },
     });
+
+    if (!ok) {
+      showMessage(
+        "conversation-messages",
+        error || "Could not send message.",
+        true
+      );
+      return false;
+    }
+
+    mergeLiveMessage(data.directMessage);
+    return true;
+  } catch (err) {
+    console.error("Error sending message:", err);
+    showMessage(
+      "conversation-messages",
+      "Something went wrong sending the message.",
+      true
+    );
+    return false;
+  }
+}
+
+/**
+ * A message arrived (live or just sent): I add it to the open thread if it
+ * belongs there, and refresh the conversation list if I'm looking at it.
+ */
+function mergeLiveMessage(message) {
+  if (openThread && openThread.id === message.conversationId) {
+    const container = document.getElementById("thread-messages");
+    if (!container.querySelector(`[data-message-id="${message._id}"]`)) {
+      container.appendChild(buildMessageElement(message));
+      container.scrollTop = container.scrollHeight;
+    }
+
+    // I'm reading this thread right now, so it shouldn't count as unread.
+    if (
+      message.senderUsername !== currentUsername &&
+      currentSectionId === "messages-section"
+    ) {
+      api
+        .post("/conversations/:id/read", {
+          params: { id: message.conversationId },
+        })
+        .then(loadConversations)
+        .catch((err) => console.error("Error marking thread read:", err));
+      return;
+    }
+  }
+
+  if (currentSectionId === "messages-section") {
+    loadConversations();
   }
 }
 
 // ===============================
-// 8. Friend requests
+// 13. Trips – plan a trip with friends, attach posts to it
 // ===============================
 
+let tripsCursor = null;
+let currentTrip = null; // the GET /trips/:tripId response
+let editingTripId = null; // null = the form creates a new trip
+let tripStoryList = null;
+
 /**
- * I set up the Friend Request form.
+ * I format a trip or stop date range ("2025-07-01 → 2025-07-14").
  */
-function setupFriendRequestHandlers() {
-  const form = document.getElementById("friend-request-form");
-  if (!form) return;
+function formatTripDates(startDate, endDate) {
+  if (!startDate && !endDate) return "";
+  if (startDate === endDate) return startDate;
+  return `${startDate || "?"} → ${endDate || "?"}`;
+}
 
-  form.addEventListener("submit", async (event) => {
-    event.preventDefault();
-    const username = document
-      .getElementById("friend-request-username")
-      .value.trim();
+/**
+ * I load the trips I own or help plan (GET /trips), newest first.
+ */
+async function loadTrips(reset = true) {
+  const listEl = document.getElementById("trips-list");
+  const moreBtn = document.getElementById("trips-more");
+  if (!listEl) return;
 
-    if (!username) return;
+  if (reset) {
+    tripsCursor = null;
+    listEl.innerHTML = "";
+  }
 
-    try {
-      const response = await fetch(`${BASE_PATH}/friends/request`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username }),
-      });
+  try {
+    const { ok, data, error } = await api.get("/trips", {
+      query: { limit: PAGE_SIZE, before: tripsCursor },
+    });
+
+    if (!ok) {
+      showMessage("trips-messages", error || "Could not load trips.", true);
+      return;
+    }
 
-      const data = await safeJson(response);
+    const trips = data.trips || [];
+    if (reset && trips.length === 0) {
+      listEl.innerHTML = "<li>No trips yet – start planning one!</li>";
+    }
 
-      if (!response.ok) {
-        alert(data.error || "Friend request failed.");
-        return;
+    trips.forEach((trip) => {
+      const li = document.createElement("li");
+      li.className = "trip-item";
+
+      const info = document.createElement("span");
+      const title = document.createElement("strong");
+      title.textContent = trip.title;
+      info.appendChild(title);
+      info.append(` • ${formatTripDates(trip.startDate, trip.endDate)}`);
+      if (trip.owner !== currentUsername) {
+        info.append(` • planned by ${trip.owner}`);
       }
+      li.appendChild(info);
 
-      alert(`Friend request sent to ${username}.`);
-      form.reset();
-      loadIncomingFriendRequests();
-    } catch (err) {
-      console.error("Error sending friend request:", err);
-      alert("Something went wrong sending friend request.");
-    }
-  });
+      li.addEventListener("click", () => openTrip(trip._id));
+      listEl.appendChild(li);
+    });
+
+    tripsCursor = data.nextCursor || null;
+    moreBtn.hidden = !tripsCursor;
+  } catch (err) {
+    console.error("Error loading trips:", err);
+    showMessage("trips-messages", "Something went wrong loading trips.", true);
+  }
 }
 
 /**
- * I load incoming friend requests from GET /friends/requests
- * and show them with "Accept" buttons.
+ * I fill the "Trip" dropdown of the post form with the trips I plan.
  */
-async function loadIncomingFriendRequests() {
-  const listEl = document.getElementById("incoming-friend-requests");
-  if (!listEl) return;
+async function loadTripOptions() {
+  const select = document.getElementById("post-trip");
+  if (!select) return;
 
-  listEl.innerHTML = "<li>Loading...</li>";
+  try {
+    const { ok, data } = await api.get("/trips", { query: { limit: 100 } });
+    if (!ok) return;
+
+    const chosen = select.value;
+    select.innerHTML = '<option value="">No trip</option>';
+    (data.trips || []).forEach((trip) => {
+      const option = document.createElement("option");
+      option.value = trip._id;
+      option.textContent = trip.title;
+      select.appendChild(option);
+    });
+    select.value = chosen;
+  } catch (err) {
+    console.error("Error loading trip options:", err);
+  }
+}
+
+/**
+ * I open the trip form, empty for a new trip or filled in for editing.
+ * Only the owner picks collaborators, from their friends list.
+ */
+async function openTripForm(trip = null) {
+  editingTripId = trip ? trip._id : null;
+  document.getElementById("trip-form-card").hidden = false;
+  document.getElementById("trip-form-title").textContent = trip
+    ? "Edit trip"
+    : "New trip";
+  showMessage("trip-form-messages", "");
+
+  document.getElementById("trip-title").value = trip ? trip.title : "";
+  document.getElementById("trip-start").value = trip ? trip.startDate : "";
+  document.getElementById("trip-end").value = trip ? trip.endDate : "";
+  document.getElementById("trip-description").value = trip
+    ? trip.description || ""
+    : "";
+
+  const fieldset = document.getElementById("trip-collaborators");
+  const optionsEl = document.getElementById("trip-collaborator-options");
+  const isOwner = !trip || trip.owner === currentUsername;
+  fieldset.hidden = !isOwner;
+  optionsEl.innerHTML = "";
+  if (!isOwner) return;
 
   try {
-    const response = await fetch(`${BASE_PATH}/friends/requests`);
-    const data = await safeJson(response);
+    const { ok, data: friends } = await api.get("/friends");
+    if (!ok) return;
 
-    if (!response.ok) {
-      listEl.innerHTML =
-        "<li>Could not load friend requests.</li>";
+    if (friends.length === 0) {
+      optionsEl.innerHTML =
+        '<p class="post-meta">Add friends to plan trips together.</p>';
       return;
     }
 
-    const requests = Array.isArray(data) ? data : data.requests || [];
+    friends.forEach((friend) => {
+      const label = document.createElement("label");
+      label.className = "checkbox-label";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = friend.username;
+      box.checked = !!trip && trip.collaborators.includes(friend.username);
+      label.appendChild(box);
+      label.append(` ${friend.displayName || friend.username}`);
+      optionsEl.appendChild(label);
+    });
+  } catch (err) {
+    console.error("Error loading friends for trip:", err);
+  }
+}
 
-    if (requests.length === 0) {
-      listEl.innerHTML = "<li>No incoming friend requests.</li>";
-      return;
+/**
+ * I send a trip change to the backend and show the updated trip.
+ * Resolves to the saved trip, or null if it failed.
+ */
+async function saveTrip(tripId, body, messagesId) {
+  try {
+    const { ok, data, error } = await (tripId
+      ? api.put("/trips/:tripId", { params: { tripId }, body })
+      : api.post("/trips", { body }));
+
+    if (!ok) {
+      showMessage(messagesId, error || "Could not save trip.", true);
+      return null;
     }
+    return data.trip;
+  } catch (err) {
+    console.error("Error saving trip:", err);
+    showMessage(messagesId, "Something went wrong saving the trip.", true);
+    return null;
+  }
+}
 
-    listEl.innerHTML = "";
-    requests.forEach((req) => {
-      const li = document.createElement("li");
-      li.textContent = `From ${req.fromUsername}`;
+/**
+ * I open one trip: its plan (stops) and the posts attached to it.
+ */
+async function openTrip(tripId) {
+  try {
+    const { ok, data, error } = await api.get("/trips/:tripId", {
+      params: { tripId },
+    });
 
-      const acceptBtn = document.createElement("button");
-      acceptBtn.className = "secondary-btn";
-      acceptBtn.textContent = "Accept";
-      acceptBtn.style.marginLeft = "0.5rem";
+    if (!ok) {
+      showMessage("trips-messages", error || "Could not load trip.", true);
+      return;
+    }
 
-      acceptBtn.addEventListener("click", () => {
-        acceptFriendRequest(req.fromUsername);
+    currentTrip = data;
+    renderTrip();
+
+    if (!tripStoryList) {
+      tripStoryList = createInfiniteList({
+        containerId: "trip-posts",
+        messagesId: "trip-posts-messages",
+        fetchPage: (before) =>
+          api.get("/trips/:tripId/posts", {
+            params: { tripId: currentTrip._id },
+            query: { limit: PAGE_SIZE, before },
+          }),
+        emptyHtml:
+          "<p>No posts yet. Pick this trip in the post form to add one.</p>",
+        errorText: "Something went wrong loading the trip's posts.",
       });
-
-      li.appendChild(acceptBtn);
-      listEl.appendChild(li);
-    });
+    }
+    document.getElementById("trip-story-card").hidden = false;
+    tripStoryList.reset();
   } catch (err) {
-    console.error("Error loading friend requests:", err);
-    listEl.innerHTML =
-      "<li>Something went wrong loading friend requests.</li>";
+    console.error("Error loading trip:", err);
+    showMessage("trips-messages", "Something went wrong loading trip.", true);
+  }
+}
+
+/**
+ * I draw the trip card from currentTrip. Planners get buttons to
+ * reorder and remove stops and a form to add new ones.
+ */
+function renderTrip() {
+  const trip = currentTrip;
+  document.getElementById("trip-view").hidden = false;
+  showMessage("trip-view-messages", "");
+
+  document.getElementById("trip-view-title").textContent = trip.title;
+  let meta =
+    `${formatTripDates(trip.startDate, trip.endDate)} • by ${trip.owner}`;
+  if (trip.collaborators.length > 0) {
+    meta += ` with ${trip.collaborators.join(", ")}`;
+  }
+  document.getElementById("trip-view-meta").textContent = meta;
+  document.getElementById("trip-view-description").textContent =
+    trip.description || "";
+
+  document.getElementById("trip-edit-button").hidden = !trip.canEdit;
+  document.getElementById("trip-delete-button").hidden = !trip.isOwner;
+  document.getElementById("trip-stop-form").hidden = !trip.canEdit;
+
+  const stopsEl = document.getElementById("trip-stops");
+  stopsEl.innerHTML = "";
+  if (trip.stops.length === 0) {
+    stopsEl.innerHTML = "<li>No stops planned yet.</li>";
+    return;
   }
+
+  trip.stops.forEach((stop, i) => {
+    const li = document.createElement("li");
+    li.className = "trip-stop";
+
+    const head = document.createElement("div");
+    if (stop.place.slug) {
+      head.appendChild(buildPlaceLink(stop.place));
+    } else {
+      const name = document.createElement("strong");
+      name.textContent = `📍 ${stop.place.name}`;
+      head.appendChild(name);
+    }
+    const dates = formatTripDates(stop.startDate, stop.endDate);
+    if (dates) head.append(` • ${dates}`);
+    li.appendChild(head);
+
+    if (stop.notes) {
+      const notes = document.createElement("p");
+      notes.textContent = stop.notes;
+      li.appendChild(notes);
+    }
+
+    if (trip.canEdit) {
+      const controls = document.createElement("div");
+      controls.className = "form-inline";
+      [
+        ["↑", "Move up", i > 0, () => moveTripStop(i, -1)],
+        ["↓", "Move down", i < trip.stops.length - 1, () => moveTripStop(i, 1)],
+        ["Remove", "Remove stop", true, () => removeTripStop(i)],
+      ].forEach(([text, label, enabled, onClick]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "secondary-btn";
+        btn.textContent = text;
+        btn.setAttribute("aria-label", label);
+        btn.disabled = !enabled;
+        btn.addEventListener("click", onClick);
+        controls.appendChild(btn);
+      });
+      li.appendChild(controls);
+    }
+
+    stopsEl.appendChild(li);
+  });
 }
 
 /**
- * I send a request to accept a friend request.
+ * The backend always gets the whole ordered stop list (PUT /trips/:id).
  */
-async function acceptFriendRequest(username) {
+async function saveTripStops(stops) {
+  const saved = await saveTrip(
+    currentTrip._id,
+    { stops },
+    "trip-view-messages"
+  );
+  if (!saved) return false;
+
+  currentTrip = { ...currentTrip, ...saved };
+  renderTrip();
+  return true;
+}
+
+function moveTripStop(index, offset) {
+  const stops = [...currentTrip.stops];
+  const [stop] = stops.splice(index, 1);
+  stops.splice(index + offset, 0, stop);
+  saveTripStops(stops);
+}
+
+function removeTripStop(index) {
+  const stops = currentTrip.stops.filter((_, i) => i !== index);
+  saveTripStops(stops);
+}
+
+async function deleteTrip() {
+  if (!currentTrip) return;
+  if (!confirm(`Delete the trip "${currentTrip.title}"? Its posts stay.`)) {
+    return;
+  }
+
   try {
-    const response = await fetch(`${BASE_PATH}/friends/accept`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ username }),
+    const { ok, error } = await api.delete("/trips/:tripId", {
+      params: { tripId: currentTrip._id },
     });
 
-    const data = await safeJson(response);
-
-    if (!response.ok) {
-      alert(data.error || "Could not accept friend request.");
+    if (!ok) {
+      showMessage(
+        "trip-view-messages",
+        error || "Could not delete trip.",
+        true
+      );
       return;
     }
 
-    alert(`You are now friends with ${username}.`);
-    loadIncomingFriendRequests();
+    currentTrip = null;
+    document.getElementById("trip-view").hidden = true;
+    document.getElementById("trip-story-card").hidden = true;
+    loadTrips();
+    loadTripOptions();
   } catch (err) {
-    console.error("Error accepting friend request:", err);
-    alert("Something went wrong accepting friend request.");
+    console.error("Error deleting trip:", err);
+    showMessage(
+      "trip-view-messages",
+      "Something went wrong deleting the trip.",
+      true
+    );
   }
 }
 
+function setupTripHandlers() {
+  const form = document.getElementById("trip-form");
+  if (!form) return;
+
+  document
+    .getElementById("new-trip-button")
+    .addEventListener("click", () => openTripForm());
+  document.getElementById("trip-form-cancel").addEventListener("click", () => {
+    document.getElementById("trip-form-card").hidden = true;
+  });
+  document
+    .getElementById("trips-more")
+    .addEventListener("click", () => loadTrips(false));
+  document
+    .getElementById("trip-edit-button")
+    .addEventListener("click", () => openTripForm(currentTrip));
+  document
+    .getElementById("trip-delete-button")
+    .addEventListener("click", deleteTrip);
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const body = {
+      title: document.getElementById("trip-title").value.trim(),
+      startDate: document.getElementById("trip-start").value,
+      endDate: document.getElementById("trip-end").value,
+      description: document.getElementById("trip-description").value.trim(),
+    };
+    if (!document.getElementById("trip-collaborators").hidden) {
+      body.collaborators = Array.from(
+        document.querySelectorAll("#trip-collaborator-options input:checked")
+      ).map((box) => box.value);
+    }
+
+    const saved = await saveTrip(editingTripId, body, "trip-form-messages");
+    if (!saved) return;
+
+    document.getElementById("trip-form-card").hidden = true;
+    loadTrips();
+    loadTripOptions();
+    openTrip(saved._id);
+  });
+
+  const stopForm = document.getElementById("trip-stop-form");
+  attachPlaceSuggestions(document.getElementById("trip-stop-place"));
+  stopForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    if (!currentTrip) return;
+
+    const stop = {
+      place: document.getElementById("trip-stop-place").value.trim(),
+      startDate: document.getElementById("trip-stop-start").value,
+      endDate: document.getElementById("trip-stop-end").value,
+      notes: document.getElementById("trip-stop-notes").value.trim(),
+    };
+    if (!stop.place) return;
+
+    if (await saveTripStops([...currentTrip.stops, stop])) {
+      stopForm.reset();
+    }
+  });
+}
+
 // ===============================
-// 9. Weather (third-party via backend)
+// 14. Weather (third-party via backend)
 // ===============================
 
 /**
@@ -1191,14 +3946,13 @@ function setupWeatherHandlers() {
     resultEl.textContent = "Loading weather...";
 
     try {
-      const response = await fetch(
-        `${BASE_PATH}/weather?city=${encodeURIComponent(city)}`
-      );
-      const data = await safeJson(response);
+      const { ok, data, error } = await api.get("/weather", {
+        query: { city },
+      });
 
-      if (!response.ok) {
+      if (!ok) {
         resultEl.textContent =
-          data.error || "Could not fetch weather information.";
+          error || "Could not fetch weather information.";
         return;
       }
 
@@ -1215,7 +3969,7 @@ function setupWeatherHandlers() {
 }
 
 // ===============================
-// 10. AI Chat – talk to the backend
+// 15. AI Chat – talk to the backend
 // ===============================
 
 /**
@@ -1236,17 +3990,13 @@ function setupChatHandlers() {
 
     responseEl.textContent = "Thinking...";
     try {
-      const response = await fetch(`${BASE_PATH}/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message }),
+      const { ok, data, error } = await api.post("/chat", {
+        body: { message },
       });
 
-      const data = await safeJson(response);
-
-      if (!response.ok) {
+      if (!ok) {
         responseEl.textContent =
-          data.error || "AI could not respond right now.";
+          error || "AI could not respond right now.";
         return;
       }
 
@@ -1260,23 +4010,35 @@ function setupChatHandlers() {
 }
 
 // ===============================
-// 11. Initialise everything on page load
+// 16. Initialise everything on page load
 // ===============================
 
-window.addEventListener("DOMContentLoaded", () => {
+window.addEventListener("DOMContentLoaded", async () => {
+  api.onUnauthorized = handleUnauthorized;
+
   setupNavigation();
   setupAuthHandlers();
 
   setupPostHandler();
   setupFeedHandler();
+  setupLightboxHandlers();
 
   setupUserSearchHandler();
+  setupUserProfileHandlers();
   setupContentSearchHandler();
+  setupTrendingHandler();
+  setupPlaceHandlers();
 
   setupProfileHandlers();
   setupFriendRequestHandlers();
+  setupNotificationHandlers();
+  setupMessageHandlers();
+  setupTripHandlers();
   setupWeatherHandlers();
   setupChatHandlers();
 
+  // No API call may go out before I know the server's base path.
+  await loadApiConfig();
+  await handleEmailLink();
   checkCurrentLogin();
 });
\ No newline at end of file
@@ -0,0 +1,93 @@
+// session_store.mjs
+// An express-session store that keeps sessions in a MongoDB collection, so
+// logins survive a restart. Expired sessions are removed by a TTL index on
+// expiresAt (see ensureIndexes in upload_server.mjs).
+
+import crypto from "node:crypto";
+import session from "express-session";
+
+// touch() only writes if the stored session is older than this, so a page
+// that fires ten API calls doesn't cause ten writes
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Each document looks like
+ *   { _id: sid, publicId, username, session, createdAt, lastSeenAt, expiresAt }
+ * sid is the secret in the cookie and never leaves the server; publicId is
+ * what GET /sessions shows and DELETE /sessions/:id takes.
+ */
+export class MongoSessionStore extends session.Store {
+  /**
+   * @param {object} options
+   * @param {() => import("mongodb").Collection} options.collection
+   *   called on every use, because the store is created before Mongo connects
+   * @param {number} options.idleTtlMs  how long a session without a cookie
+   *   expiry (no "remember me") lives after its last request
+   */
+  constructor({ collection, idleTtlMs }) {
+    super();
+    this.collection = collection;
+    this.idleTtlMs = idleTtlMs;
+  }
+
+  expiresAt(sess) {
+    if (sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + this.idleTtlMs);
+  }
+
+  get(sid, callback) {
+    this.collection()
+      .findOne({ _id: sid, expiresAt: { $gt: new Date() } })
+      .then((doc) => callback(null, doc ? doc.session : null), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const now = new Date();
+    this.collection()
+      .updateOne(
+        { _id: sid },
+        {
+          $set: {
+            // the JSON round trip is what turns the cookie into plain data
+            session: JSON.parse(JSON.stringify(sess)),
+            username: sess.username || null,
+            lastSeenAt: now,
+            expiresAt: this.expiresAt(sess),
+          },
+          $setOnInsert: {
+            publicId: crypto.randomBytes(12).toString("hex"),
+            createdAt: now,
+          },
+        },
+        { upsert: true }
+      )
+      .then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    const now = new Date();
+    this.collection()
+      .updateOne(
+        {
+          _id: sid,
+          lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) },
+        },
+        {
+          $set: {
+            "session.cookie": JSON.parse(JSON.stringify(sess.cookie)),
+            lastSeenAt: now,
+            expiresAt: this.expiresAt(sess),
+          },
+        }
+      )
+      .then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.collection()
+      .deleteOne({ _id: sid })
+      .then(() => callback(null), callback);
+  }
+}